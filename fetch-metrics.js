@@ -2,24 +2,28 @@
  * PTGC/UFO Dashboard - Metrics Collector
  * Runs every 30 minutes via GitHub Actions
  * Collects: Volume, Liquidity, Liq/MCap Ratio, Holders, Tokens in LP
+ *
+ * Requests go through scripts/lib/providers.js (retries, rate budgets, holder count falls back
+ * from PulseScan to Moralis); metrics-history.json records the run's provider health.
+ *
+ * Fresh readings are compared with the newest stored snapshot by scripts/lib/anomaly-guard.js
+ * before they are stored or used for the 24h changes. A quarantined reading keeps the last good
+ * value, the snapshot is flagged (`quarantined`) and the raw reading goes to the `quarantine` log.
+ *
+ * metrics-history.json is checked against data/schemas/metrics-history.schema.json before writing;
+ * a file that fails is not written and the previous one stays in place.
  */
 
 const fs = require('fs');
 const path = require('path');
+const providers = require('./scripts/lib/providers');
+const { writeValidated } = require('./scripts/lib/data-contracts');
+const { createGuard } = require('./scripts/lib/anomaly-guard');
 
-// Token configurations
-const TOKENS = {
-  PTGC: {
-    address: '0x94534EeEe131840b1c0F61847c572228bdfDDE93',
-    mainPair: '0xf5A89A6487D62df5308CDDA89c566C5B5ef94C11'
-  },
-  UFO: {
-    address: '0x456548A9B56eFBbD89Ca0309edd17a9E20b04018',
-    mainPair: '0xbeA0e55b82Eb975280041F3b49C4D0bD937b72d5'
-  }
-};
+// Token configurations (shared with the other collectors and both pages)
+const SHARED_CONFIG = require('./data/config.json');
+const TOKENS = SHARED_CONFIG.tokens;
 
-const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
 const DATA_DIR = './data';
 const METRICS_FILE = path.join(DATA_DIR, 'metrics-history.json');
 
@@ -33,9 +37,7 @@ const MAX_DAILY_SNAPSHOTS = 90;   // 90 days of daily data
  */
 async function fetchDexScreener(tokenAddress) {
   try {
-    const url = `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`;
-    const res = await fetch(url);
-    const data = await res.json();
+    const data = await providers.getJSON('dexscreener', `/tokens/${tokenAddress}`);
     
     if (!data.pairs || data.pairs.length === 0) {
       console.error(`No pairs found for ${tokenAddress}`);
@@ -89,63 +91,6 @@ async function fetchDexScreener(tokenAddress) {
   }
 }
 
-/**
- * Fetch holder count from Moralis
- */
-async function fetchHolderCount(tokenAddress) {
-  if (!MORALIS_API_KEY) {
-    console.error('MORALIS_API_KEY not set');
-    return null;
-  }
-
-  try {
-    const url = `https://deep-index.moralis.io/api/v2.2/erc20/${tokenAddress}/owners?chain=pulsechain&order=DESC`;
-    const res = await fetch(url, {
-      headers: {
-        'X-API-Key': MORALIS_API_KEY,
-        'Accept': 'application/json'
-      }
-    });
-
-    if (!res.ok) {
-      console.error(`Moralis API error: ${res.status} ${res.statusText}`);
-      return null;
-    }
-
-    const data = await res.json();
-    
-    // Moralis returns total count in the response
-    // The 'result' array contains holders, but we need the total
-    // Check if there's a cursor or total field
-    if (data.result) {
-      // If no explicit total, we may need to paginate or use page info
-      // Moralis typically provides this in the response metadata
-      const total = data.total || data.result.length;
-      return total;
-    }
-    
-    return null;
-  } catch (error) {
-    console.error(`Moralis error for ${tokenAddress}:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Alternative: Fetch holder count from PulseScan (backup)
- */
-async function fetchHolderCountPulseScan(tokenAddress) {
-  try {
-    const url = `https://api.scan.pulsechain.com/api/v2/tokens/${tokenAddress}`;
-    const res = await fetch(url);
-    const data = await res.json();
-    return data.holders ? parseInt(data.holders) : null;
-  } catch (error) {
-    console.error(`PulseScan error for ${tokenAddress}:`, error.message);
-    return null;
-  }
-}
-
 /**
  * Collect all metrics for a token
  */
@@ -159,12 +104,8 @@ async function collectTokenMetrics(tokenName, tokenConfig) {
     return null;
   }
 
-  // Fetch holder count (try Moralis first, fallback to PulseScan)
-  let holders = await fetchHolderCount(tokenConfig.address);
-  if (holders === null) {
-    console.log(`Moralis failed for ${tokenName}, trying PulseScan...`);
-    holders = await fetchHolderCountPulseScan(tokenConfig.address);
-  }
+  // Fetch holder count (PulseScan counters, Moralis holder stats fallback)
+  const holders = await providers.getHolderCount(tokenConfig.address, tokenName);
 
   return {
     price: dexData.price,
@@ -191,20 +132,16 @@ function loadMetricsHistory() {
     console.error('Error loading metrics history:', error.message);
   }
   
-  // Return default structure
-  return {
-    lastUpdated: null,
-    PTGC: {
+  // Return default structure - one entry per registry token
+  const history = { lastUpdated: null };
+  for (const symbol of Object.keys(TOKENS)) {
+    history[symbol] = {
       snapshots: [],    // 30-min snapshots
       hourly: [],       // Hourly rollups
       daily: []         // Daily rollups
-    },
-    UFO: {
-      snapshots: [],
-      hourly: [],
-      daily: []
-    }
-  };
+    };
+  }
+  return history;
 }
 
 /**
@@ -375,16 +312,44 @@ async function main() {
   // Load existing history
   const history = loadMetricsHistory();
   const timestamp = new Date().toISOString();
+  const guard = createGuard(history.quarantine);
 
   // Collect metrics for each token
   for (const [tokenName, tokenConfig] of Object.entries(TOKENS)) {
     const metrics = await collectTokenMetrics(tokenName, tokenConfig);
     
     if (metrics) {
+      // Tokens newly added to the registry start with an empty history
+      if (!history[tokenName]) {
+        history[tokenName] = { snapshots: [], hourly: [], daily: [] };
+      }
+      
+      // Hold back implausible readings (vs the newest stored snapshot)
+      const last = history[tokenName].snapshots[0];
+      const { values, quarantined } = guard.check(tokenName, {
+        price: metrics.price,
+        volume: metrics.volume24h,
+        liquidity: metrics.liquidity,
+        holders: metrics.holders,
+        tokensInLP: metrics.tokensInLP
+      }, last && { ...last, volume: last.volume24h });
+      
+      if (quarantined) {
+        metrics.price = values.price;
+        metrics.volume24h = values.volume;
+        metrics.liquidity = values.liquidity;
+        metrics.holders = values.holders;
+        metrics.tokensInLP = values.tokensInLP;
+        // Figures derived from a held-back reading are carried with it
+        if (quarantined.price) metrics.mcap = last.mcap;
+        if (quarantined.price || quarantined.liquidity) metrics.liqMcapRatio = last.liqMcapRatio;
+      }
+      
       // Create snapshot
       const snapshot = {
         timestamp,
-        ...metrics
+        ...metrics,
+        ...(quarantined && { quarantined })
       };
       
       // Add to snapshots (most recent first)
@@ -415,9 +380,12 @@ async function main() {
 
   // Update timestamp and save
   history.lastUpdated = timestamp;
+  history.providers = providers.providerReport();
+  history.quarantine = guard.log();
   
-  fs.writeFileSync(METRICS_FILE, JSON.stringify(history, null, 2));
-  console.log(`\nMetrics saved to ${METRICS_FILE}`);
+  if (writeValidated(METRICS_FILE, history, 'metrics-history', 2)) {
+    console.log(`\nMetrics saved to ${METRICS_FILE}`);
+  }
   console.log('Completed at:', new Date().toISOString());
 }
 
@@ -2,53 +2,98 @@
  * Fetch Burn History Script - MORALIS VERSION (SPLIT FILES)
  * 
  * Splits burn data into multiple files to stay under GitHub's 100MB limit
+ * Loops over every token in data/config.json - burnFiles: 'split' tokens get one file per period
  * 
  * UPDATED: Holder count now fetched from PulseScan (not Moralis) for consistency
  * UPDATED: Holder history now stores ONE snapshot per day
  * 
  * Files created:
  * - burn-summary.json (totals, prices, periods, snapshots)
+ * - burn-daily.json (daily burn buckets for the full history, organic vs buyback)
  * - ptgc-burns-2023-h2.json (May-Dec 2023)
  * - ptgc-burns-2024-h1.json (Jan-Jun 2024)
  * - ptgc-burns-2024-h2.json (Jul-Dec 2024)
  * - ptgc-burns-2025-h1.json (Jan-Jun 2025)
  * - ptgc-burns-2025-h2.json (Jul-Dec 2025)
  * - ptgc-burns-2026.json (2026+, current file for updates)
- * - ufo-burns.json (all UFO burns - small file)
+ * - ufo-burns.json (all UFO burns - small file, burnFiles: 'single')
  * - holder-history.json (daily holder snapshots - THIS SCRIPT IS THE ONLY SOURCE)
+ * - burn-index-checkpoint.json (--backend=rpc only: last indexed block per token)
+ * - burn-verification.json (--verify only, checked against data/schemas/burn-verification.schema.json)
+ * 
+ * Verification mode: node scripts/fetch-burn-history.js --verify [--block=<number>] [--backfill]
+ * Compares summed burns to the on-chain burn address balance at a block, flags duplicate
+ * records and suspected cursor holes, and writes burn-verification.json. With --backfill the
+ * flagged ranges are re-fetched (from the selected backend), the burn files rewritten and the burn
+ * totals in burn-summary.json and burn-daily.json recomputed from them. Market readings in the
+ * summary (price, volume, pairs, holders) are left for the next regular run.
+ *
+ * Burn backend: --backend=moralis (default) pages Moralis /{burnAddress}/erc20/transfers.
+ * --backend=rpc scans ERC-20 Transfer logs to the burn address with eth_getLogs instead
+ * (adaptive block chunks), resuming from the lastBlock stored in burn-index-checkpoint.json.
+ * Both write identical { t, a, f } burn records. RPC_URL overrides the JSON-RPC endpoint
+ * (e.g. a local stub). Without MORALIS_API_KEY the rpc backend keeps the previous price,
+ * volume and pair figures from burn-summary.json.
+ *
+ * Every request goes through scripts/lib/providers.js; the run's provider health (calls,
+ * failures, fallbacks) is stored in burn-summary.json under `providers`.
+ *
+ * burn-summary.json, burn-daily.json and holder-history.json are checked against data/schemas/ before writing
+ * (scripts/lib/data-contracts.js); a malformed or all-zero result leaves the previous file in place.
+ *
+ * Price, volume, liquidity, tokens in LP, holders and txns go through scripts/lib/anomaly-guard.js
+ * before they enter the snapshots: an implausible reading (zero price, holder drop over 5%,
+ * liquidity moving over 10x) is logged in burn-summary.json under `quarantine` and the last good
+ * value is kept, flagged with `quarantined` on the token, its snapshot and the holder history.
  */
 
 const fs = require('fs');
 const path = require('path');
+const providers = require('./lib/providers');
+const { writeValidated } = require('./lib/data-contracts');
+const { createGuard } = require('./lib/anomaly-guard');
 
-// Moralis API Key - set via environment variable
-const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
-if (!MORALIS_API_KEY) {
-  console.error('ERROR: MORALIS_API_KEY environment variable not set');
+// CLI flags for verification mode and burn backend
+const ARGS = process.argv.slice(2);
+const VERIFY_MODE = ARGS.includes('--verify');
+const BACKFILL = ARGS.includes('--backfill');
+const VERIFY_BLOCK = (ARGS.find(a => a.startsWith('--block=')) || '').split('=')[1] || null;
+const BACKEND = (ARGS.find(a => a.startsWith('--backend=')) || '--backend=moralis').split('=')[1];
+if (!['moralis', 'rpc'].includes(BACKEND)) {
+  console.error(`ERROR: unknown --backend=${BACKEND} (expected moralis or rpc)`);
   process.exit(1);
 }
 
-// PulseChain chain identifier for Moralis
-const CHAIN = '0x171'; // PulseChain mainnet (369 in hex)
-
-// Addresses
-const BURN_ADDRESS = '0x0000000000000000000000000000000000000369';
-const PTGC_ADDRESS = '0x94534EeEe131840b1c0F61847c572228bdfDDE93';
-const UFO_ADDRESS = '0x456548A9B56eFBbD89Ca0309edd17a9E20b04018';
+// Moralis API Key - set via environment variable (optional for the rpc backend)
+const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
 
-// LP Pairs (for identifying automated buyback burns)
-const PTGC_LP_PAIR = '0xf5a89a6487d62df5308cdda89c566c5b5ef94c11';
-const UFO_LP_PAIR = '0xbea0e55b82eb975280041f3b49c4d0bd937b72d5';
+const CHAIN = providers.MORALIS_CHAIN;
 
-const PTGC_DECIMALS = 18;
-const UFO_DECIMALS = 18;
+// Shared token registry (address, mainPair, decimals, burnFiles, crossBurn)
+const SHARED_CONFIG = require('../data/config.json');
+const TOKENS = SHARED_CONFIG.tokens;
 
-const MORALIS_BASE = 'https://deep-index.moralis.io/api/v2.2';
-const DEXSCREENER_BASE = 'https://api.dexscreener.com/latest/dex';
-const PULSESCAN_BASE = 'https://api.scan.pulsechain.com/api/v2';
+const BURN_ADDRESS = SHARED_CONFIG.burnAddress;
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Moralis page retries before a fetch is aborted
+const MAX_PAGE_RETRIES = 5;
+
+// RPC backend - ERC-20 Transfer(address,address,uint256) logs with the burn address as topic 2
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const CHECKPOINT_FILE = 'burn-index-checkpoint.json';
+const LOG_CHUNK_BLOCKS = 100000;
+const MIN_CHUNK_BLOCKS = 100;
+// Successful ranges in a row before a shrunk chunk is doubled again
+const CHUNK_GROW_AFTER = 5;
+
+// Relative on-chain vs summed difference still treated as reconciled (float rounding)
+const VERIFY_TOLERANCE_PCT = 0.01;
+// A silence between burns longer than GAP_FACTOR x the median interval (and at least GAP_MIN_MS) is a suspected cursor hole
+const GAP_FACTOR = 50;
+const GAP_MIN_MS = 3 * 24 * 60 * 60 * 1000;
+
 // Time period boundaries (timestamps)
 const PERIODS = {
   '2023-h2': { start: new Date('2023-05-01').getTime(), end: new Date('2024-01-01').getTime() },
@@ -72,32 +117,20 @@ function getPeriodKey(timestamp) {
 }
 
 /**
- * Make Moralis API request
+ * Burn file name for a token - per period for 'split' tokens, one file otherwise
  */
-async function moralisRequest(endpoint, params = {}) {
-  const url = new URL(`${MORALIS_BASE}${endpoint}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null) url.searchParams.set(k, v);
-  });
-  
-  try {
-    const response = await fetch(url.toString(), {
-      headers: {
-        'X-API-Key': MORALIS_API_KEY,
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`HTTP ${response.status}: ${text}`);
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.log(`  API Error: ${error.message}`);
-    return null;
-  }
+function burnFileName(symbol, period) {
+  const prefix = symbol.toLowerCase();
+  return TOKENS[symbol].burnFiles === 'split' ? `${prefix}-burns-${period}.json` : `${prefix}-burns.json`;
+}
+
+/**
+ * Summary key for a token's LP buyback burns - "<TOKEN>by<BUYER>" when another
+ * token buys & burns it (e.g. PTGCbyUFO), "<TOKEN>Buybacks" otherwise
+ */
+function buybackSummaryKey(symbol) {
+  const buyer = Object.keys(TOKENS).find(s => TOKENS[s].crossBurn === symbol);
+  return buyer ? `${symbol}by${buyer}` : `${symbol}Buybacks`;
 }
 
 /**
@@ -107,12 +140,7 @@ async function fetchTransactionCount(tokenAddress, tokenSymbol) {
   console.log(`\nFetching ${tokenSymbol} transaction count from DexScreener...`);
   
   try {
-    const response = await fetch(`${DEXSCREENER_BASE}/tokens/${tokenAddress}`);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await providers.getJSON('dexscreener', `/tokens/${tokenAddress}`);
     
     if (data.pairs && data.pairs.length > 0) {
       // Sum up all transactions across all pairs
@@ -145,35 +173,12 @@ function loadExistingBurns(dataDir, token) {
   console.log(`\nLoading existing ${token} burns...`);
   console.log(`  Data directory: ${dataDir}`);
   
-  if (token === 'PTGC') {
-    // Load all PTGC period files
-    for (const period of Object.keys(PERIODS)) {
-      const filePath = path.join(dataDir, `ptgc-burns-${period}.json`);
-      console.log(`  Checking: ${filePath}`);
-      try {
-        if (fs.existsSync(filePath)) {
-          const stats = fs.statSync(filePath);
-          console.log(`    File exists, size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-          const fileContent = fs.readFileSync(filePath, 'utf8');
-          console.log(`    Read ${fileContent.length} characters`);
-          const data = JSON.parse(fileContent);
-          console.log(`    Parsed JSON, burns array length: ${data.burns?.length || 0}`);
-          if (data.burns && data.burns.length > 0) {
-            // Use concat instead of spread to avoid stack overflow
-            allBurns = allBurns.concat(data.burns);
-            console.log(`    Added ${data.burns.length} burns, total now: ${allBurns.length}`);
-          }
-        } else {
-          console.log(`    File does not exist`);
-        }
-      } catch (e) {
-        console.log(`    ERROR loading ${filePath}: ${e.message}`);
-        console.log(`    Stack: ${e.stack}`);
-      }
-    }
-  } else {
-    // Load UFO file
-    const filePath = path.join(dataDir, 'ufo-burns.json');
+  const files = TOKENS[token].burnFiles === 'split'
+    ? Object.keys(PERIODS).map(period => burnFileName(token, period))
+    : [burnFileName(token)];
+  
+  for (const file of files) {
+    const filePath = path.join(dataDir, file);
     console.log(`  Checking: ${filePath}`);
     try {
       if (fs.existsSync(filePath)) {
@@ -247,11 +252,12 @@ async function fetchAllBurns(tokenAddress, tokenSymbol, decimals, existingBurns
   const newBurns = [];
   let cursor = null;
   let page = 0;
+  let retries = 0;
   let reachedOldData = false;
   
   while (!reachedOldData) {
     // Moralis endpoint for wallet token transfers (burn address is the wallet receiving)
-    const data = await moralisRequest(`/${BURN_ADDRESS}/erc20/transfers`, {
+    const data = await providers.tryJSON('moralis', `/${BURN_ADDRESS}/erc20/transfers`, {
       chain: CHAIN,
       contract_addresses: [tokenAddress],
       cursor: cursor,
@@ -259,10 +265,16 @@ async function fetchAllBurns(tokenAddress, tokenSymbol, decimals, existingBurns
     });
     
     if (!data) {
-      console.log(`  Page ${page + 1}: API error, retrying in 5s...`);
+      retries++;
+      if (retries > MAX_PAGE_RETRIES) {
+        // Giving up on this page would leave a cursor hole between the new and existing burns
+        throw new Error(`${tokenSymbol} burns page ${page + 1} failed ${MAX_PAGE_RETRIES} times - aborting so no partial history is written`);
+      }
+      console.log(`  Page ${page + 1}: API error, retry ${retries}/${MAX_PAGE_RETRIES} in 5s...`);
       await delay(5000);
       continue;
     }
+    retries = 0;
     
     if (!data.result || data.result.length === 0) {
       console.log(`  No more data after page ${page + 1}`);
@@ -342,6 +354,53 @@ function splitBurnsByPeriod(burns) {
   return byPeriod;
 }
 
+/**
+ * Write a token's burn files - one per period for 'split' tokens, one file otherwise.
+ * Returns the file references stored in burn-summary.json
+ */
+function writeBurnFiles(dataDir, symbol, allBurns) {
+  if (TOKENS[symbol].burnFiles === 'split') {
+    console.log(`  Splitting ${symbol} burns by time period...`);
+    const burnsByPeriod = splitBurnsByPeriod(allBurns);
+    
+    for (const [period, burns] of Object.entries(burnsByPeriod)) {
+      console.log(`  ${period}: ${burns.length} burns`);
+      if (burns.length === 0) continue;
+      
+      const filePath = path.join(dataDir, burnFileName(symbol, period));
+      const periodTotal = burns.reduce((s, b) => s + b.a, 0);
+      
+      const fileData = {
+        period,
+        burnCount: burns.length,
+        totalBurned: periodTotal,
+        burns: burns.map(b => ({ t: b.t, a: b.a, f: b.f }))
+      };
+      
+      fs.writeFileSync(filePath, JSON.stringify(fileData));
+      const fileSizeMB = (fs.statSync(filePath).size / (1024 * 1024)).toFixed(2);
+      console.log(`  Written: ${filePath} (${fileSizeMB} MB, ${burns.length} burns)`);
+    }
+    
+    return { burnFiles: Object.keys(PERIODS).map(p => burnFileName(symbol, p)).filter(f => 
+      fs.existsSync(path.join(dataDir, f))
+    ) };
+  }
+  
+  const filePath = path.join(dataDir, burnFileName(symbol));
+  const fileData = {
+    burnCount: allBurns.length,
+    totalBurned: allBurns.reduce((s, b) => s + b.a, 0),
+    burns: allBurns.map(b => ({ t: b.t, a: b.a, f: b.f }))
+  };
+  
+  fs.writeFileSync(filePath, JSON.stringify(fileData));
+  const fileSizeMB = (fs.statSync(filePath).size / (1024 * 1024)).toFixed(2);
+  console.log(`  Written: ${filePath} (${fileSizeMB} MB, ${allBurns.length} burns)`);
+  
+  return { burnFile: burnFileName(symbol) };
+}
+
 /**
  * Filter burns that came from LP pair (these are buyback burns from swaps)
  */
@@ -381,13 +440,37 @@ function calculatePeriods(burns) {
   return result;
 }
 
+/**
+ * Bucket burns by UTC day for the full history (ascending, days without burns omitted)
+ * d = YYYY-MM-DD, n/a = all burns count/amount, bn/ba = LP buyback burns count/amount
+ */
+function buildDailyBurnSeries(burns, lpPairAddress) {
+  const lpAddr = lpPairAddress.toLowerCase();
+  const byDay = {};
+  
+  for (const burn of burns) {
+    const d = new Date(burn.t).toISOString().split('T')[0];
+    if (!byDay[d]) byDay[d] = { d, n: 0, a: 0, bn: 0, ba: 0 };
+    byDay[d].n++;
+    byDay[d].a += burn.a;
+    if (burn.f === lpAddr) {
+      byDay[d].bn++;
+      byDay[d].ba += burn.a;
+    }
+  }
+  
+  return Object.values(byDay)
+    .sort((x, y) => x.d.localeCompare(y.d))
+    .map(day => ({ ...day, a: Math.round(day.a), ba: Math.round(day.ba) }));
+}
+
 /**
  * Fetch token price from Moralis
  */
 async function fetchTokenPrice(tokenAddress, tokenSymbol) {
   console.log(`\nFetching ${tokenSymbol} price...`);
   
-  const data = await moralisRequest(`/erc20/${tokenAddress}/price`, {
+  const data = await providers.tryJSON('moralis', `/erc20/${tokenAddress}/price`, {
     chain: CHAIN,
     include: 'percent_change'
   });
@@ -410,7 +493,7 @@ async function fetchTokenPrice(tokenAddress, tokenSymbol) {
 async function fetchVolumeStats(tokenAddress, tokenSymbol) {
   console.log(`\nFetching ${tokenSymbol} volume...`);
   
-  const data = await moralisRequest(`/erc20/${tokenAddress}/analytics`, {
+  const data = await providers.tryJSON('moralis', `/erc20/${tokenAddress}/analytics`, {
     chain: CHAIN
   });
   
@@ -431,7 +514,7 @@ async function fetchVolumeStats(tokenAddress, tokenSymbol) {
 async function fetchTokenPairs(tokenAddress, tokenSymbol) {
   console.log(`\nFetching ${tokenSymbol} LP pairs...`);
   
-  const data = await moralisRequest(`/erc20/${tokenAddress}/pairs`, {
+  const data = await providers.tryJSON('moralis', `/erc20/${tokenAddress}/pairs`, {
     chain: CHAIN,
     limit: 50
   });
@@ -466,25 +549,430 @@ async function fetchTokenPairs(tokenAddress, tokenSymbol) {
 }
 
 /**
- * Fetch holder count from PulseScan (NOT Moralis - for consistency with dashboard)
+ * Fetch holder count - PulseScan first (for consistency with dashboard), Moralis as fallback
  */
 async function fetchHolderCount(tokenAddress, tokenSymbol) {
-  console.log(`\nFetching ${tokenSymbol} holder count from PulseScan...`);
+  console.log(`\nFetching ${tokenSymbol} holder count...`);
   
+  const holders = (await providers.getHolderCount(tokenAddress, tokenSymbol)) || 0;
+  console.log(`  ${tokenSymbol} holders: ${holders}`);
+  return holders;
+}
+
+/**
+ * Fetch all burns in [fromTs, toTs] (inclusive) - used to backfill flagged ranges
+ */
+async function fetchBurnsInRange(tokenAddress, tokenSymbol, decimals, fromTs, toTs) {
+  console.log(`  Re-fetching ${tokenSymbol} burns ${new Date(fromTs).toISOString()} -> ${new Date(toTs).toISOString()}`);
+  
+  const burns = [];
+  let cursor = null;
+  let page = 0;
+  let retries = 0;
+  
+  while (true) {
+    const data = await providers.tryJSON('moralis', `/${BURN_ADDRESS}/erc20/transfers`, {
+      chain: CHAIN,
+      contract_addresses: [tokenAddress],
+      from_date: new Date(fromTs).toISOString(),
+      to_date: new Date(toTs).toISOString(),
+      cursor: cursor,
+      limit: 100
+    });
+    
+    if (!data) {
+      retries++;
+      if (retries > MAX_PAGE_RETRIES) {
+        throw new Error(`${tokenSymbol} backfill page ${page + 1} failed ${MAX_PAGE_RETRIES} times`);
+      }
+      await delay(5000);
+      continue;
+    }
+    retries = 0;
+    
+    for (const tx of data.result || []) {
+      const timestamp = new Date(tx.block_timestamp).getTime();
+      if (timestamp < fromTs || timestamp > toTs) continue;
+      burns.push({
+        t: timestamp,
+        a: Number(BigInt(tx.value || '0')) / Math.pow(10, decimals),
+        f: (tx.from_address || '').toLowerCase()
+      });
+    }
+    
+    cursor = data.cursor;
+    if (!cursor || !data.result || data.result.length === 0) break;
+    page++;
+    await delay(200);
+  }
+  
+  console.log(`    Got ${burns.length} burns`);
+  return burns;
+}
+
+/**
+ * Burn address token balance at a block (balanceOf)
+ */
+async function fetchBurnBalanceAt(tokenAddress, decimals, blockTag) {
+  const callData = '0x70a08231' + BURN_ADDRESS.slice(2).toLowerCase().padStart(64, '0');
+  const result = await providers.rpcCall('eth_call', [{ to: tokenAddress, data: callData }, blockTag]);
+  return Number(BigInt(result || '0x0')) / Math.pow(10, decimals);
+}
+
+const toHex = n => '0x' + n.toString(16);
+const burnTopic = '0x' + BURN_ADDRESS.slice(2).toLowerCase().padStart(64, '0');
+
+/**
+ * Transfer logs to the burn address over [fromBlock, toBlock] - the chunk halves when the RPC
+ * rejects a range (too many results / timeout) and doubles after CHUNK_GROW_AFTER successes
+ */
+async function fetchTransferLogs(tokenAddress, fromBlock, toBlock) {
+  const logs = [];
+  let chunk = LOG_CHUNK_BLOCKS;
+  let streak = 0;
+  let start = fromBlock;
+  
+  while (start <= toBlock) {
+    const end = Math.min(start + chunk - 1, toBlock);
+    try {
+      const result = await providers.rpcCall('eth_getLogs', [{
+        address: tokenAddress,
+        topics: [TRANSFER_TOPIC, null, burnTopic],
+        fromBlock: toHex(start),
+        toBlock: toHex(end)
+      }]);
+      logs.push(...(result || []).filter(log => !log.removed));
+      start = end + 1;
+      if (++streak >= CHUNK_GROW_AFTER && chunk < LOG_CHUNK_BLOCKS) {
+        chunk = Math.min(LOG_CHUNK_BLOCKS, chunk * 2);
+        streak = 0;
+      }
+    } catch (e) {
+      if (chunk <= MIN_CHUNK_BLOCKS) throw e;
+      chunk = Math.max(MIN_CHUNK_BLOCKS, Math.floor(chunk / 2));
+      streak = 0;
+      console.log(`  getLogs failed (${e.message}), retrying with ${chunk} blocks`);
+      await delay(1000);
+    }
+    await delay(100);
+  }
+  return logs;
+}
+
+const blockTimeCache = new Map();
+async function getBlockTime(blockNumber) {
+  if (!blockTimeCache.has(blockNumber)) {
+    const block = await providers.rpcCall('eth_getBlockByNumber', [toHex(blockNumber), false]);
+    if (!block) throw new Error(`Block ${blockNumber} not found`);
+    blockTimeCache.set(blockNumber, parseInt(block.timestamp, 16) * 1000);
+  }
+  return blockTimeCache.get(blockNumber);
+}
+
+/**
+ * First block with a timestamp >= ts (binary search, latestBlock + 1 if none)
+ */
+async function findBlockAtTime(ts, latestBlock) {
+  let lo = 0;
+  let hi = latestBlock + 1;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await getBlockTime(mid) >= ts) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/**
+ * Transfer logs -> { t, a, f } burn records, newest first like the Moralis pages
+ */
+async function logsToBurns(logs, decimals) {
+  const sorted = [...logs].sort((a, b) =>
+    parseInt(b.blockNumber, 16) - parseInt(a.blockNumber, 16) || parseInt(b.logIndex, 16) - parseInt(a.logIndex, 16));
+  
+  const burns = [];
+  for (const log of sorted) {
+    burns.push({
+      t: await getBlockTime(parseInt(log.blockNumber, 16)),
+      a: Number(BigInt(log.data && log.data !== '0x' ? log.data : '0x0')) / Math.pow(10, decimals),
+      f: ('0x' + log.topics[1].slice(26)).toLowerCase()
+    });
+  }
+  return burns;
+}
+
+/**
+ * Load the RPC backend checkpoint ({ lastUpdated, SYM: { lastBlock } })
+ */
+function loadCheckpoint(dataDir) {
+  const filePath = path.join(dataDir, CHECKPOINT_FILE);
   try {
-    const response = await fetch(`${PULSESCAN_BASE}/tokens/${tokenAddress}/counters`);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    console.log(`Could not load checkpoint: ${e.message}`);
+  }
+  return {};
+}
+
+/**
+ * Fetch new burns from Transfer logs and merge them with the existing burns.
+ * Resumes after the checkpoint block, or - with no checkpoint - from the block of the newest
+ * stored burn, so switching over from the Moralis backend does not re-index the full history.
+ */
+async function fetchAllBurnsRpc(tokenAddress, tokenSymbol, decimals, existingBurns, lastBlock, latestBlock) {
+  console.log(`\n${'='.repeat(50)}`);
+  console.log(`Fetching ${tokenSymbol} burns via RPC logs...`);
+  console.log(`${'='.repeat(50)}`);
+  
+  const lastTimestamp = existingBurns.length > 0 ? existingBurns[0].t : 0;
+  let fromBlock = 0;
+  if (lastBlock) {
+    fromBlock = lastBlock + 1;
+    console.log(`Incremental mode: resuming after checkpoint block ${lastBlock}`);
+  } else if (lastTimestamp) {
+    fromBlock = await findBlockAtTime(lastTimestamp, latestBlock);
+    console.log(`No checkpoint: resuming at block ${fromBlock} (${new Date(lastTimestamp).toISOString()})`);
+  } else {
+    console.log('Full fetch mode: scanning all historical burns');
+  }
+  
+  console.log(`  Scanning blocks ${fromBlock} -> ${latestBlock}`);
+  const logs = fromBlock <= latestBlock ? await fetchTransferLogs(tokenAddress, fromBlock, latestBlock) : [];
+  const fetched = await logsToBurns(logs, decimals);
+  
+  // Drop anything the stored history already covers - burns older than the newest stored one
+  // (another backend got there first) and identical records sharing its timestamp
+  const boundary = new Map();
+  for (const b of existingBurns) {
+    if (b.t !== lastTimestamp) break;
+    const key = `${b.t}|${b.a}|${b.f}`;
+    boundary.set(key, (boundary.get(key) || 0) + 1);
+  }
+  const newBurns = fetched.filter(b => {
+    if (b.t > lastTimestamp) return true;
+    if (b.t < lastTimestamp) return false;
+    const key = `${b.t}|${b.a}|${b.f}`;
+    if (!boundary.get(key)) return true;
+    boundary.set(key, boundary.get(key) - 1);
+    return false;
+  });
+  
+  console.log(`Fetched ${newBurns.length} new ${tokenSymbol} burns (${logs.length} logs)`);
+  console.log(`Existing ${tokenSymbol} burns: ${existingBurns.length}`);
+  
+  const allBurns = [...newBurns, ...existingBurns];
+  allBurns.sort((a, b) => b.t - a.t);
+  
+  console.log(`Total ${tokenSymbol} burns after merge: ${allBurns.length}`);
+  if (allBurns.length > 0) {
+    console.log(`  Oldest: ${new Date(allBurns[allBurns.length - 1].t).toISOString()}`);
+    console.log(`  Newest: ${new Date(allBurns[0].t).toISOString()}`);
+  }
+  
+  return allBurns;
+}
+
+/**
+ * RPC counterpart of fetchBurnsInRange - all burns in [fromTs, toTs] (inclusive)
+ */
+async function fetchBurnsInRangeRpc(tokenAddress, tokenSymbol, decimals, fromTs, toTs) {
+  console.log(`  Re-scanning ${tokenSymbol} burns ${new Date(fromTs).toISOString()} -> ${new Date(toTs).toISOString()}`);
+  
+  const latestBlock = parseInt(await providers.rpcCall('eth_blockNumber', []), 16);
+  const fromBlock = await findBlockAtTime(fromTs, latestBlock);
+  const toBlock = (await findBlockAtTime(toTs + 1, latestBlock)) - 1;
+  const logs = fromBlock <= toBlock ? await fetchTransferLogs(tokenAddress, fromBlock, toBlock) : [];
+  const burns = (await logsToBurns(logs, decimals)).filter(b => b.t >= fromTs && b.t <= toTs);
+  
+  console.log(`    Got ${burns.length} burns (blocks ${fromBlock} -> ${toBlock})`);
+  return burns;
+}
+
+/**
+ * Burn records that appear more than once with identical {t, a, f}
+ */
+function findDuplicateBurns(burns) {
+  const counts = new Map();
+  for (const b of burns) {
+    const key = `${b.t}|${b.a}|${b.f}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const duplicates = [];
+  for (const [key, count] of counts) {
+    if (count < 2) continue;
+    const [t, a, f] = key.split('|');
+    duplicates.push({ t: Number(t), date: new Date(Number(t)).toISOString(), a: Number(a), f, count });
+  }
+  return duplicates;
+}
+
+/**
+ * Suspiciously long silences between consecutive burns (likely skipped cursor pages)
+ */
+function findBurnGaps(burns) {
+  if (burns.length < 3) return [];
+  const times = burns.map(b => b.t).sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+  const median = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+  const threshold = Math.max(GAP_MIN_MS, median * GAP_FACTOR);
+  
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    if (intervals[i - 1] > threshold) {
+      gaps.push({
+        fromTs: times[i - 1],
+        toTs: times[i],
+        from: new Date(times[i - 1]).toISOString(),
+        to: new Date(times[i]).toISOString(),
+        hours: Math.round(intervals[i - 1] / (60 * 60 * 1000))
+      });
     }
+  }
+  return gaps;
+}
+
+/**
+ * Compare stored burns for a token against the on-chain burn balance at a block
+ */
+async function checkToken(symbol, burns, blockTag, blockTime) {
+  const cfg = TOKENS[symbol];
+  const upToBlock = burns.filter(b => b.t <= blockTime);
+  const summedBurns = upToBlock.reduce((s, b) => s + b.a, 0);
+  const onChainBalance = await fetchBurnBalanceAt(cfg.address, cfg.decimals, blockTag);
+  const difference = onChainBalance - summedBurns;
+  const differencePct = onChainBalance > 0 ? (difference / onChainBalance) * 100 : 0;
+  const duplicates = findDuplicateBurns(burns);
+  const gaps = findBurnGaps(burns);
+  
+  return {
+    onChainBalance,
+    summedBurns,
+    difference,
+    differencePct,
+    burnCount: upToBlock.length,
+    burnsAfterBlock: burns.length - upToBlock.length,
+    duplicates,
+    gaps,
+    status: Math.abs(differencePct) <= VERIFY_TOLERANCE_PCT && duplicates.length === 0 ? 'ok' : 'mismatch'
+  };
+}
+
+/**
+ * After a backfill: recompute the burn-derived parts of burn-summary.json (totals, periods, file
+ * references, buyback totals) and the backfilled tokens' burn-daily.json series. Everything else
+ * in the summary is a market reading from the regular run and is kept as it is.
+ */
+function refreshBurnAggregates(dataDir, backfilled) {
+  const summary = loadExistingSummary(dataDir);
+  if (summary) {
+    for (const [symbol, { burns, burnFileRefs }] of Object.entries(backfilled)) {
+      const buybackBurns = filterBuybackBurns(burns, TOKENS[symbol].mainPair);
+      summary[symbol] = {
+        ...summary[symbol],
+        totalBurned: burns.reduce((s, b) => s + b.a, 0),
+        burnCount: burns.length,
+        periods: calculatePeriods(burns),
+        ...burnFileRefs
+      };
+      summary[buybackSummaryKey(symbol)] = {
+        totalBurned: buybackBurns.reduce((s, b) => s + b.a, 0),
+        burnCount: buybackBurns.length,
+        periods: calculatePeriods(buybackBurns)
+      };
+    }
+    const summaryPath = path.join(dataDir, 'burn-summary.json');
+    if (writeValidated(summaryPath, summary, 'burn-summary', 2)) console.log(`Written: ${summaryPath}`);
+  } else {
+    console.log('No burn-summary.json yet - the next regular run writes it');
+  }
+
+  const dailyPath = path.join(dataDir, 'burn-daily.json');
+  const daily = fs.existsSync(dailyPath) ? JSON.parse(fs.readFileSync(dailyPath, 'utf8')) : {};
+  for (const [symbol, { burns }] of Object.entries(backfilled)) {
+    daily[symbol] = {
+      totalSupply: TOKENS[symbol].totalSupply,
+      days: buildDailyBurnSeries(burns, TOKENS[symbol].mainPair)
+    };
+  }
+  daily.lastUpdated = new Date().toISOString();
+  if (writeValidated(dailyPath, daily, 'burn-daily')) console.log(`Written: ${dailyPath}`);
+}
+
+/**
+ * Verification mode - reconcile burn files with on-chain balances and write burn-verification.json
+ */
+async function verifyMain() {
+  console.log('\n' + '='.repeat(60));
+  console.log('BURN HISTORY VERIFICATION');
+  console.log(`Backfill: ${BACKFILL ? `yes (${BACKEND})` : 'no'}`);
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(60));
+  
+  const dataDir = path.join(__dirname, '..', 'data');
+  const blockTag = VERIFY_BLOCK ? '0x' + Number(VERIFY_BLOCK).toString(16) : 'latest';
+  const block = await providers.rpcCall('eth_getBlockByNumber', [blockTag, false]);
+  if (!block) throw new Error(`Block ${VERIFY_BLOCK} not found`);
+  const blockNumber = parseInt(block.number, 16);
+  const blockTime = parseInt(block.timestamp, 16) * 1000;
+  console.log(`\nVerifying at block ${blockNumber} (${new Date(blockTime).toISOString()})`);
+  
+  const report = {
+    verifiedAt: new Date().toISOString(),
+    block: blockNumber,
+    blockTimestamp: new Date(blockTime).toISOString(),
+    tolerancePct: VERIFY_TOLERANCE_PCT,
+    tokens: {}
+  };
+  const backfilled = {};
+  
+  for (const symbol of Object.keys(TOKENS)) {
+    let burns = loadExistingBurns(dataDir, symbol);
+    const result = await checkToken(symbol, burns, blockTag, blockTime);
     
-    const data = await response.json();
-    const holders = parseInt(data.token_holders_count) || 0;
-    console.log(`  ${tokenSymbol} holders: ${holders}`);
-    return holders;
-  } catch (error) {
-    console.log(`  PulseScan Error: ${error.message}`);
-    return 0;
+    console.log(`\n${symbol}:`);
+    console.log(`  On-chain burn balance: ${result.onChainBalance.toLocaleString()}`);
+    console.log(`  Summed burn records:   ${result.summedBurns.toLocaleString()} (${result.burnCount} burns)`);
+    console.log(`  Difference:            ${result.difference.toLocaleString()} (${result.differencePct.toFixed(4)}%)`);
+    console.log(`  Duplicates: ${result.duplicates.length}, suspected gaps: ${result.gaps.length} -> ${result.status.toUpperCase()}`);
+    
+    // Re-fetch flagged ranges and replace the stored burns inside them
+    if (BACKFILL && result.status !== 'ok' && (result.gaps.length > 0 || result.duplicates.length > 0)) {
+      const ranges = [
+        ...result.gaps.map(g => ({ fromTs: g.fromTs, toTs: g.toTs })),
+        ...result.duplicates.map(d => ({ fromTs: d.t - 1000, toTs: d.t + 1000 }))
+      ];
+      const burnsBefore = burns.length;
+      for (const range of ranges) {
+        const fetchRange = BACKEND === 'rpc' ? fetchBurnsInRangeRpc : fetchBurnsInRange;
+        const fetched = await fetchRange(TOKENS[symbol].address, symbol, TOKENS[symbol].decimals, range.fromTs, range.toTs);
+        burns = burns.filter(b => b.t < range.fromTs || b.t > range.toTs).concat(fetched);
+        await delay(500);
+      }
+      burns.sort((a, b) => b.t - a.t);
+      backfilled[symbol] = { burns, burnFileRefs: writeBurnFiles(dataDir, symbol, burns) };
+      
+      result.backfill = { ranges: ranges.length, burnsBefore, burnsAfter: burns.length };
+      result.afterBackfill = await checkToken(symbol, burns, blockTag, blockTime);
+      delete result.afterBackfill.duplicates;
+      delete result.afterBackfill.gaps;
+      console.log(`  Backfilled ${ranges.length} ranges: ${burnsBefore} -> ${burns.length} burns, now ${result.afterBackfill.status.toUpperCase()} (${result.afterBackfill.differencePct.toFixed(4)}%)`);
+    }
+    
+    report.tokens[symbol] = result;
+  }
+  
+  if (Object.keys(backfilled).length > 0) {
+    console.log('\nRecomputing burn totals for the backfilled tokens...');
+    refreshBurnAggregates(dataDir, backfilled);
+  }
+  
+  const reportPath = path.join(dataDir, 'burn-verification.json');
+  if (writeValidated(reportPath, report, 'burn-verification', 2)) {
+    console.log(`\nWritten: ${reportPath}`);
   }
+  console.log('Completed:', new Date().toISOString());
+  console.log('='.repeat(60));
 }
 
 /**
@@ -492,7 +980,8 @@ async function fetchHolderCount(tokenAddress, tokenSymbol) {
  */
 async function main() {
   console.log('\n' + '='.repeat(60));
-  console.log('BURN HISTORY FETCHER - MORALIS VERSION (SPLIT FILES)');
+  console.log('BURN HISTORY FETCHER (SPLIT FILES)');
+  console.log(`Burn backend: ${BACKEND === 'rpc' ? `RPC logs (${providers.PROVIDERS.rpc.baseUrl})` : 'Moralis'}`);
   console.log('Holder counts: PulseScan (for consistency with dashboard)');
   console.log('Started:', new Date().toISOString());
   console.log('='.repeat(60));
@@ -522,18 +1011,24 @@ async function main() {
   
   // Load existing data
   const existingSummary = loadExistingSummary(dataDir);
-  const existingPTGCBurns = loadExistingBurns(dataDir, 'PTGC');
-  const existingUFOBurns = loadExistingBurns(dataDir, 'UFO');
+  const symbols = Object.keys(TOKENS);
+  const results = {};
   
   // ============================================
   // FETCH ALL BURNS
   // ============================================
   
-  const ptgcBurns = await fetchAllBurns(PTGC_ADDRESS, 'PTGC', PTGC_DECIMALS, existingPTGCBurns);
-  await delay(500);
+  const checkpoint = BACKEND === 'rpc' ? loadCheckpoint(dataDir) : null;
+  const latestBlock = BACKEND === 'rpc' ? parseInt(await providers.rpcCall('eth_blockNumber', []), 16) : null;
   
-  const ufoBurns = await fetchAllBurns(UFO_ADDRESS, 'UFO', UFO_DECIMALS, existingUFOBurns);
-  await delay(500);
+  for (const symbol of symbols) {
+    const existingBurns = loadExistingBurns(dataDir, symbol);
+    const burns = BACKEND === 'rpc'
+      ? await fetchAllBurnsRpc(TOKENS[symbol].address, symbol, TOKENS[symbol].decimals, existingBurns, checkpoint[symbol]?.lastBlock, latestBlock)
+      : await fetchAllBurns(TOKENS[symbol].address, symbol, TOKENS[symbol].decimals, existingBurns);
+    results[symbol] = { burns };
+    await delay(500);
+  }
   
   // ============================================
   // IDENTIFY BUYBACK BURNS (from LP pairs)
@@ -543,11 +1038,11 @@ async function main() {
   console.log('Identifying Buyback Burns...');
   console.log(`${'='.repeat(50)}`);
   
-  const ptgcBuybackBurns = filterBuybackBurns(ptgcBurns, PTGC_LP_PAIR);
-  console.log(`PTGC Buyback Burns (from LP): ${ptgcBuybackBurns.length} transactions`);
-  
-  const ufoBuybackBurns = filterBuybackBurns(ufoBurns, UFO_LP_PAIR);
-  console.log(`UFO Buyback Burns (from LP): ${ufoBuybackBurns.length} transactions`);
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    r.buybackBurns = filterBuybackBurns(r.burns, TOKENS[symbol].mainPair);
+    console.log(`${symbol} Buyback Burns (from LP): ${r.buybackBurns.length} transactions`);
+  }
   
   // ============================================
   // CALCULATE TOTALS AND PERIODS
@@ -556,168 +1051,140 @@ async function main() {
   console.log(`\n${'='.repeat(50)}`);
   console.log('CALCULATING PERIODS');
   console.log(`${'='.repeat(50)}`);
-  console.log(`PTGC burns to process: ${ptgcBurns.length}`);
-  console.log(`UFO burns to process: ${ufoBurns.length}`);
-  
-  const ptgcTotal = ptgcBurns.reduce((s, b) => s + b.a, 0);
-  const ufoTotal = ufoBurns.reduce((s, b) => s + b.a, 0);
-  const ptgcBuybackTotal = ptgcBuybackBurns.reduce((s, b) => s + b.a, 0);
-  const ufoBuybackTotal = ufoBuybackBurns.reduce((s, b) => s + b.a, 0);
-  
-  console.log(`PTGC total tokens: ${ptgcTotal.toLocaleString()}`);
-  console.log(`UFO total tokens: ${ufoTotal.toLocaleString()}`);
   
-  const ptgcPeriods = calculatePeriods(ptgcBurns);
-  const ufoPeriods = calculatePeriods(ufoBurns);
-  const ptgcBuybackPeriods = calculatePeriods(ptgcBuybackBurns);
-  const ufoBuybackPeriods = calculatePeriods(ufoBuybackBurns);
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    console.log(`${symbol} burns to process: ${r.burns.length}`);
+    r.total = r.burns.reduce((s, b) => s + b.a, 0);
+    r.buybackTotal = r.buybackBurns.reduce((s, b) => s + b.a, 0);
+    console.log(`${symbol} total tokens: ${r.total.toLocaleString()}`);
+    r.periods = calculatePeriods(r.burns);
+    r.buybackPeriods = calculatePeriods(r.buybackBurns);
+  }
   
   // ============================================
   // FETCH ADDITIONAL DATA
   // ============================================
   
-  const ptgcPrice = await fetchTokenPrice(PTGC_ADDRESS, 'PTGC');
-  await delay(300);
-  
-  const ufoPrice = await fetchTokenPrice(UFO_ADDRESS, 'UFO');
-  await delay(300);
-  
-  const ptgcVolume = await fetchVolumeStats(PTGC_ADDRESS, 'PTGC');
-  await delay(300);
-  
-  const ufoVolume = await fetchVolumeStats(UFO_ADDRESS, 'UFO');
-  await delay(300);
-  
-  const ptgcPairs = await fetchTokenPairs(PTGC_ADDRESS, 'PTGC');
-  await delay(300);
-  
-  const ufoPairs = await fetchTokenPairs(UFO_ADDRESS, 'UFO');
-  await delay(300);
-  
-  // Fetch holder counts from PulseScan (NOT Moralis)
-  const ptgcHolders = await fetchHolderCount(PTGC_ADDRESS, 'PTGC');
-  await delay(300);
-  
-  const ufoHolders = await fetchHolderCount(UFO_ADDRESS, 'UFO');
-  await delay(300);
-  
-  // Fetch transaction counts from DexScreener
-  const ptgcTxns = await fetchTransactionCount(PTGC_ADDRESS, 'PTGC');
-  await delay(300);
-  
-  const ufoTxns = await fetchTransactionCount(UFO_ADDRESS, 'UFO');
-  
-  // Get tokens in LP from pairs data
-  const ptgcTokensInLP = ptgcPairs.totalTokensInLP || 0;
-  const ufoTokensInLP = ufoPairs.totalTokensInLP || 0;
-
-  // ============================================
-  // BUILD SNAPSHOTS (for daily changes)
-  // ============================================
-  
-  const today = new Date().toISOString().split('T')[0];
-  const existingPTGCSnapshots = existingSummary?.PTGC?.snapshots || [];
-  const existingUFOSnapshots = existingSummary?.UFO?.snapshots || [];
-  
-  const ptgcSnapshot = {
-    date: today,
-    holders: ptgcHolders,
-    liquidity: ptgcPairs.totalLiquidity,
-    price: ptgcPrice.usd,
-    volume: ptgcVolume.volume24h,
-    tokensInLP: ptgcTokensInLP,
-    txns: ptgcTxns
-  };
-  
-  const ufoSnapshot = {
-    date: today,
-    holders: ufoHolders,
-    liquidity: ufoPairs.totalLiquidity,
-    price: ufoPrice.usd,
-    volume: ufoVolume.volume24h,
-    tokensInLP: ufoTokensInLP,
-    txns: ufoTxns
-  };
-  
-  const ptgcSnapshots = [ptgcSnapshot, ...existingPTGCSnapshots.filter(s => s.date !== today)].slice(0, 30);
-  const ufoSnapshots = [ufoSnapshot, ...existingUFOSnapshots.filter(s => s.date !== today)].slice(0, 30);
-  
-  // Calculate changes vs yesterday
-  const ptgcYesterday = ptgcSnapshots[1];
-  const ufoYesterday = ufoSnapshots[1];
-  
-  const ptgcChanges = ptgcYesterday ? {
-    holders: ptgcYesterday.holders ? ((ptgcHolders - ptgcYesterday.holders) / ptgcYesterday.holders * 100) : 0,
-    liquidity: ptgcYesterday.liquidity ? ((ptgcSnapshot.liquidity - ptgcYesterday.liquidity) / ptgcYesterday.liquidity * 100) : 0,
-    tokensInLP: ptgcYesterday.tokensInLP ? ((ptgcTokensInLP - ptgcYesterday.tokensInLP) / ptgcYesterday.tokensInLP * 100) : 0,
-    txns: ptgcYesterday.txns ? ((ptgcTxns - ptgcYesterday.txns) / ptgcYesterday.txns * 100) : 0
-  } : null;
-  
-  const ufoChanges = ufoYesterday ? {
-    holders: ufoYesterday.holders ? ((ufoHolders - ufoYesterday.holders) / ufoYesterday.holders * 100) : 0,
-    liquidity: ufoYesterday.liquidity ? ((ufoSnapshot.liquidity - ufoYesterday.liquidity) / ufoYesterday.liquidity * 100) : 0,
-    tokensInLP: ufoYesterday.tokensInLP ? ((ufoTokensInLP - ufoYesterday.tokensInLP) / ufoYesterday.tokensInLP * 100) : 0,
-    txns: ufoYesterday.txns ? ((ufoTxns - ufoYesterday.txns) / ufoYesterday.txns * 100) : 0
-  } : null;
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    const address = TOKENS[symbol].address;
+    
+    if (MORALIS_API_KEY) {
+      r.price = await fetchTokenPrice(address, symbol);
+      await delay(300);
+      
+      r.volume = await fetchVolumeStats(address, symbol);
+      await delay(300);
+      
+      r.pairs = await fetchTokenPairs(address, symbol);
+      await delay(300);
+    } else {
+      // rpc backend without a Moralis key - carry the last price/volume/pairs forward
+      const prev = existingSummary?.[symbol];
+      console.log(`\nNo MORALIS_API_KEY - keeping previous ${symbol} price, volume and pairs`);
+      r.price = prev?.price || { usd: 0, change24h: 0 };
+      r.volume = prev?.volume ? { volume24h: prev.volume.usd24h, change24h: prev.volume.change24h } : { volume24h: 0, change24h: 0 };
+      r.pairs = prev?.pairs || { pairs: [], totalLiquidity: 0, totalTokensInLP: 0 };
+    }
+    
+    // Fetch holder counts from PulseScan (NOT Moralis)
+    r.holders = await fetchHolderCount(address, symbol);
+    await delay(300);
+    
+    // Fetch transaction counts from DexScreener
+    r.txns = await fetchTransactionCount(address, symbol);
+    await delay(300);
+    
+    // Get tokens in LP from pairs data
+    r.tokensInLP = r.pairs.totalTokensInLP || 0;
+  }
   
   // ============================================
-  // SPLIT PTGC BURNS BY PERIOD
+  // ANOMALY GUARD (vs the newest stored snapshot)
   // ============================================
   
   console.log(`\n${'='.repeat(50)}`);
-  console.log('Splitting burns by time period...');
+  console.log('Checking readings against history...');
   console.log(`${'='.repeat(50)}`);
   
-  const ptgcBurnsByPeriod = splitBurnsByPeriod(ptgcBurns);
-  
-  for (const [period, burns] of Object.entries(ptgcBurnsByPeriod)) {
-    console.log(`  ${period}: ${burns.length} burns`);
+  const guard = createGuard(existingSummary?.quarantine);
+  
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    const prev = existingSummary?.[symbol];
+    const { values, quarantined } = guard.check(symbol, {
+      holders: r.holders,
+      liquidity: r.pairs.totalLiquidity,
+      price: r.price.usd,
+      volume: r.volume.volume24h,
+      tokensInLP: r.tokensInLP,
+      txns: r.txns
+    }, prev?.snapshots?.[0]);
+    
+    // Structured figures are carried whole from the previous summary
+    if (quarantined?.price) r.price = prev.price;
+    if (quarantined?.volume) r.volume = { volume24h: prev.volume.usd24h, change24h: prev.volume.change24h };
+    if (quarantined?.liquidity) r.pairs = prev.pairs;
+    r.holders = values.holders;
+    r.tokensInLP = values.tokensInLP;
+    r.txns = values.txns;
+    r.quarantined = quarantined;
   }
-  
+
   // ============================================
-  // WRITE PTGC BURN FILES (by period)
+  // BUILD SNAPSHOTS (for daily changes)
   // ============================================
   
-  console.log(`\n${'='.repeat(50)}`);
-  console.log('Writing PTGC burn files...');
-  console.log(`${'='.repeat(50)}`);
+  const today = new Date().toISOString().split('T')[0];
   
-  for (const [period, burns] of Object.entries(ptgcBurnsByPeriod)) {
-    if (burns.length === 0) continue;
-    
-    const filePath = path.join(dataDir, `ptgc-burns-${period}.json`);
-    const periodTotal = burns.reduce((s, b) => s + b.a, 0);
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    const existingSnapshots = existingSummary?.[symbol]?.snapshots || [];
     
-    const fileData = {
-      period,
-      burnCount: burns.length,
-      totalBurned: periodTotal,
-      burns: burns.map(b => ({ t: b.t, a: b.a, f: b.f }))
+    const snapshot = {
+      date: today,
+      holders: r.holders,
+      liquidity: r.pairs.totalLiquidity,
+      price: r.price.usd,
+      volume: r.volume.volume24h,
+      tokensInLP: r.tokensInLP,
+      txns: r.txns,
+      ...(r.quarantined && { quarantined: r.quarantined })
     };
     
-    fs.writeFileSync(filePath, JSON.stringify(fileData));
-    const fileSizeMB = (fs.statSync(filePath).size / (1024 * 1024)).toFixed(2);
-    console.log(`  Written: ${filePath} (${fileSizeMB} MB, ${burns.length} burns)`);
+    r.snapshots = [snapshot, ...existingSnapshots.filter(s => s.date !== today)].slice(0, 30);
+    
+    // Calculate changes vs yesterday
+    const yesterday = r.snapshots[1];
+    r.changes = yesterday ? {
+      holders: yesterday.holders ? ((r.holders - yesterday.holders) / yesterday.holders * 100) : 0,
+      liquidity: yesterday.liquidity ? ((snapshot.liquidity - yesterday.liquidity) / yesterday.liquidity * 100) : 0,
+      tokensInLP: yesterday.tokensInLP ? ((r.tokensInLP - yesterday.tokensInLP) / yesterday.tokensInLP * 100) : 0,
+      txns: yesterday.txns ? ((r.txns - yesterday.txns) / yesterday.txns * 100) : 0
+    } : null;
   }
   
   // ============================================
-  // WRITE UFO BURNS FILE
+  // WRITE BURN FILES (split by period, or one file)
   // ============================================
   
   console.log(`\n${'='.repeat(50)}`);
-  console.log('Writing UFO burns file...');
+  console.log('Writing burn files...');
   console.log(`${'='.repeat(50)}`);
   
-  const ufoFilePath = path.join(dataDir, 'ufo-burns.json');
-  const ufoFileData = {
-    burnCount: ufoBurns.length,
-    totalBurned: ufoTotal,
-    burns: ufoBurns.map(b => ({ t: b.t, a: b.a, f: b.f }))
-  };
+  for (const symbol of symbols) {
+    results[symbol].burnFileRefs = writeBurnFiles(dataDir, symbol, results[symbol].burns);
+  }
   
-  fs.writeFileSync(ufoFilePath, JSON.stringify(ufoFileData));
-  const ufoFileSizeMB = (fs.statSync(ufoFilePath).size / (1024 * 1024)).toFixed(2);
-  console.log(`  Written: ${ufoFilePath} (${ufoFileSizeMB} MB, ${ufoBurns.length} burns)`);
+  // Checkpoint only after the burn files are on disk - a crash in between just re-scans
+  if (BACKEND === 'rpc') {
+    const checkpointData = { lastUpdated: new Date().toISOString() };
+    for (const symbol of symbols) checkpointData[symbol] = { lastBlock: latestBlock };
+    const checkpointPath = path.join(dataDir, CHECKPOINT_FILE);
+    fs.writeFileSync(checkpointPath, JSON.stringify(checkpointData, null, 2));
+    console.log(`  Written: ${checkpointPath} (block ${latestBlock})`);
+  }
   
   // ============================================
   // WRITE SUMMARY FILE
@@ -729,66 +1196,72 @@ async function main() {
   
   const summaryData = {
     lastUpdated: new Date().toISOString(),
-    dataSource: 'Moralis (burns), PulseScan (holders)',
-    
-    PTGC: {
-      totalBurned: ptgcTotal,
-      burnCount: ptgcBurns.length,
-      periods: ptgcPeriods,
-      price: ptgcPrice,
+    dataSource: BACKEND === 'rpc' ? 'PulseChain RPC (burns), PulseScan (holders)' : 'Moralis (burns), PulseScan (holders)',
+    providers: providers.providerReport(),
+    quarantine: guard.log()
+  };
+  
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    summaryData[symbol] = {
+      totalBurned: r.total,
+      burnCount: r.burns.length,
+      periods: r.periods,
+      price: r.price,
       volume: {
-        usd24h: ptgcVolume.volume24h,
-        change24h: ptgcVolume.change24h
+        usd24h: r.volume.volume24h,
+        change24h: r.volume.change24h
       },
-      pairs: ptgcPairs,
-      holders: ptgcHolders,
-      tokensInLP: ptgcTokensInLP,
-      txns: ptgcTxns,
-      snapshots: ptgcSnapshots,
-      changes: ptgcChanges,
+      pairs: r.pairs,
+      holders: r.holders,
+      tokensInLP: r.tokensInLP,
+      txns: r.txns,
+      snapshots: r.snapshots,
+      changes: r.changes,
+      ...(r.quarantined && { quarantined: r.quarantined }),
       // File references for loading burns
-      burnFiles: Object.keys(PERIODS).map(p => `ptgc-burns-${p}.json`).filter(f => 
-        fs.existsSync(path.join(dataDir, f))
-      )
-    },
-    
-    UFO: {
-      totalBurned: ufoTotal,
-      burnCount: ufoBurns.length,
-      periods: ufoPeriods,
-      price: ufoPrice,
-      volume: {
-        usd24h: ufoVolume.volume24h,
-        change24h: ufoVolume.change24h
-      },
-      pairs: ufoPairs,
-      holders: ufoHolders,
-      tokensInLP: ufoTokensInLP,
-      txns: ufoTxns,
-      snapshots: ufoSnapshots,
-      changes: ufoChanges,
-      burnFile: 'ufo-burns.json'
-    },
-    
-    // PTGC burned via automated buybacks (from LP swaps)
-    PTGCbyUFO: {
-      totalBurned: ptgcBuybackTotal,
-      burnCount: ptgcBuybackBurns.length,
-      periods: ptgcBuybackPeriods
-    },
-    
-    // UFO burned via automated buybacks (from LP swaps)
-    UFOBuybacks: {
-      totalBurned: ufoBuybackTotal,
-      burnCount: ufoBuybackBurns.length,
-      periods: ufoBuybackPeriods
-    }
-  };
+      ...r.burnFileRefs
+    };
+  }
+  
+  // Burns via automated buybacks (from LP swaps), e.g. PTGCbyUFO / UFOBuybacks
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    summaryData[buybackSummaryKey(symbol)] = {
+      totalBurned: r.buybackTotal,
+      burnCount: r.buybackBurns.length,
+      periods: r.buybackPeriods
+    };
+  }
   
   const summaryPath = path.join(dataDir, 'burn-summary.json');
-  fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2));
-  const summarySizeMB = (fs.statSync(summaryPath).size / (1024 * 1024)).toFixed(2);
-  console.log(`  Written: ${summaryPath} (${summarySizeMB} MB)`);
+  if (writeValidated(summaryPath, summaryData, 'burn-summary', 2)) {
+    const summarySizeMB = (fs.statSync(summaryPath).size / (1024 * 1024)).toFixed(2);
+    console.log(`  Written: ${summaryPath} (${summarySizeMB} MB)`);
+  }
+  
+  // ============================================
+  // WRITE DAILY BURN SERIES
+  // ============================================
+  
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('Writing daily burn series...');
+  console.log(`${'='.repeat(50)}`);
+  
+  const dailyData = { lastUpdated: new Date().toISOString() };
+  for (const symbol of symbols) {
+    dailyData[symbol] = {
+      totalSupply: TOKENS[symbol].totalSupply,
+      days: buildDailyBurnSeries(results[symbol].burns, TOKENS[symbol].mainPair)
+    };
+    console.log(`  ${symbol}: ${dailyData[symbol].days.length} days with burns`);
+  }
+  
+  const dailyPath = path.join(dataDir, 'burn-daily.json');
+  if (writeValidated(dailyPath, dailyData, 'burn-daily')) {
+    const dailySizeMB = (fs.statSync(dailyPath).size / (1024 * 1024)).toFixed(2);
+    console.log(`  Written: ${dailyPath} (${dailySizeMB} MB)`);
+  }
   
   // ============================================
   // UPDATE HOLDER HISTORY FILE
@@ -827,11 +1300,13 @@ async function main() {
     return s.timestamp.startsWith(todayDate);
   });
   
-  const newHolderSnapshot = {
-    timestamp: now.toISOString(),
-    PTGC: ptgcHolders,
-    UFO: ufoHolders
-  };
+  const newHolderSnapshot = { timestamp: now.toISOString() };
+  const holderFlags = {};
+  for (const symbol of symbols) {
+    newHolderSnapshot[symbol] = results[symbol].holders;
+    if (results[symbol].quarantined?.holders) holderFlags[symbol] = results[symbol].quarantined.holders;
+  }
+  if (Object.keys(holderFlags).length > 0) newHolderSnapshot.quarantined = holderFlags;
   
   if (existingTodayIndex >= 0) {
     // Update today's snapshot with latest data
@@ -857,8 +1332,9 @@ async function main() {
   holderHistory.lastUpdated = now.toISOString();
   holderHistory.source = 'PulseScan';
   
-  fs.writeFileSync(holderHistoryPath, JSON.stringify(holderHistory, null, 2));
-  console.log(`  Written: ${holderHistoryPath} (${holderHistory.snapshots.length} daily snapshots)`);
+  if (writeValidated(holderHistoryPath, holderHistory, 'holder-history', 2)) {
+    console.log(`  Written: ${holderHistoryPath} (${holderHistory.snapshots.length} daily snapshots)`);
+  }
   
   // Log date range
   if (holderHistory.snapshots.length > 0) {
@@ -875,69 +1351,71 @@ async function main() {
   console.log('SUMMARY');
   console.log('='.repeat(60));
   
-  console.log(`\nPTGC BURNS (all):`);
-  console.log(`  Total: ${ptgcTotal.toLocaleString()} tokens (${ptgcBurns.length} txs)`);
-  console.log(`  12H: ${ptgcPeriods.h12.amount.toLocaleString()}`);
-  console.log(`  24H: ${ptgcPeriods.h24.amount.toLocaleString()}`);
-  console.log(`  7D:  ${ptgcPeriods.d7.amount.toLocaleString()}`);
-  console.log(`  30D: ${ptgcPeriods.d30.amount.toLocaleString()}`);
-  console.log(`  90D: ${ptgcPeriods.d90.amount.toLocaleString()}`);
-  
-  console.log(`\nUFO BURNS (all):`);
-  console.log(`  Total: ${ufoTotal.toLocaleString()} tokens (${ufoBurns.length} txs)`);
-  console.log(`  12H: ${ufoPeriods.h12.amount.toLocaleString()}`);
-  console.log(`  24H: ${ufoPeriods.h24.amount.toLocaleString()}`);
-  console.log(`  7D:  ${ufoPeriods.d7.amount.toLocaleString()}`);
-  console.log(`  30D: ${ufoPeriods.d30.amount.toLocaleString()}`);
-  console.log(`  90D: ${ufoPeriods.d90.amount.toLocaleString()}`);
-  
-  console.log(`\nPTGC BURNED BY UFO (buybacks from LP):`);
-  console.log(`  Total: ${ptgcBuybackTotal.toLocaleString()} tokens (${ptgcBuybackBurns.length} txs)`);
-  console.log(`  12H: ${ptgcBuybackPeriods.h12.amount.toLocaleString()}`);
-  console.log(`  24H: ${ptgcBuybackPeriods.h24.amount.toLocaleString()}`);
-  console.log(`  7D:  ${ptgcBuybackPeriods.d7.amount.toLocaleString()}`);
-  console.log(`  30D: ${ptgcBuybackPeriods.d30.amount.toLocaleString()}`);
-  console.log(`  90D: ${ptgcBuybackPeriods.d90.amount.toLocaleString()}`);
-  
-  console.log(`\nUFO BUYBACK BURNS (from LP):`);
-  console.log(`  Total: ${ufoBuybackTotal.toLocaleString()} tokens (${ufoBuybackBurns.length} txs)`);
+  for (const symbol of symbols) {
+    const r = results[symbol];
+    console.log(`\n${symbol} BURNS (all):`);
+    console.log(`  Total: ${r.total.toLocaleString()} tokens (${r.burns.length} txs)`);
+    console.log(`  12H: ${r.periods.h12.amount.toLocaleString()}`);
+    console.log(`  24H: ${r.periods.h24.amount.toLocaleString()}`);
+    console.log(`  7D:  ${r.periods.d7.amount.toLocaleString()}`);
+    console.log(`  30D: ${r.periods.d30.amount.toLocaleString()}`);
+    console.log(`  90D: ${r.periods.d90.amount.toLocaleString()}`);
+    
+    console.log(`\n${buybackSummaryKey(symbol)} (buybacks from LP):`);
+    console.log(`  Total: ${r.buybackTotal.toLocaleString()} tokens (${r.buybackBurns.length} txs)`);
+    console.log(`  24H: ${r.buybackPeriods.h24.amount.toLocaleString()}`);
+    console.log(`  7D:  ${r.buybackPeriods.d7.amount.toLocaleString()}`);
+  }
   
   console.log(`\nPRICES:`);
-  console.log(`  PTGC: $${ptgcPrice.usd}`);
-  console.log(`  UFO: $${ufoPrice.usd}`);
+  for (const symbol of symbols) console.log(`  ${symbol}: $${results[symbol].price.usd}`);
   
   console.log(`\nHOLDERS (from PulseScan):`);
-  console.log(`  PTGC: ${ptgcHolders.toLocaleString()}`);
-  console.log(`  UFO: ${ufoHolders.toLocaleString()}`);
+  for (const symbol of symbols) console.log(`  ${symbol}: ${results[symbol].holders.toLocaleString()}`);
   
   console.log(`\nTRANSACTIONS (24H):`);
-  console.log(`  PTGC: ${ptgcTxns}`);
-  console.log(`  UFO: ${ufoTxns}`);
-  
-  if (ptgcChanges) {
-    console.log(`\nPTGC CHANGES vs YESTERDAY:`);
-    console.log(`  Txns: ${ptgcChanges.txns.toFixed(1)}%`);
-  }
+  for (const symbol of symbols) console.log(`  ${symbol}: ${results[symbol].txns}`);
   
-  if (ufoChanges) {
-    console.log(`\nUFO CHANGES vs YESTERDAY:`);
-    console.log(`  Txns: ${ufoChanges.txns.toFixed(1)}%`);
+  for (const symbol of symbols) {
+    if (results[symbol].changes) {
+      console.log(`\n${symbol} CHANGES vs YESTERDAY:`);
+      console.log(`  Txns: ${results[symbol].changes.txns.toFixed(1)}%`);
+    }
   }
   
   console.log('\n' + '='.repeat(60));
   console.log('FILES WRITTEN:');
-  for (const period of Object.keys(PERIODS)) {
-    const f = path.join(dataDir, `ptgc-burns-${period}.json`);
-    if (fs.existsSync(f)) console.log(`  - ptgc-burns-${period}.json`);
+  for (const symbol of symbols) {
+    const files = TOKENS[symbol].burnFiles === 'split'
+      ? Object.keys(PERIODS).map(p => burnFileName(symbol, p))
+      : [burnFileName(symbol)];
+    for (const f of files) {
+      if (fs.existsSync(path.join(dataDir, f))) console.log(`  - ${f}`);
+    }
   }
-  console.log('  - ufo-burns.json');
   console.log('  - burn-summary.json');
+  console.log('  - burn-daily.json');
+  if (BACKEND === 'rpc') console.log(`  - ${CHECKPOINT_FILE}`);
   console.log('  - holder-history.json');
   console.log('Completed:', new Date().toISOString());
   console.log('='.repeat(60));
 }
 
-main().catch(err => {
-  console.error('FATAL ERROR:', err);
-  process.exit(1);
-});
+// Run as a script; tests require the RPC backend functions below
+if (require.main === module) {
+  if (!MORALIS_API_KEY && BACKEND === 'moralis') {
+    console.error('ERROR: MORALIS_API_KEY environment variable not set');
+    process.exit(1);
+  }
+  (VERIFY_MODE ? verifyMain() : main()).catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  LOG_CHUNK_BLOCKS,
+  fetchTransferLogs,
+  fetchAllBurnsRpc,
+  writeBurnFiles
+};
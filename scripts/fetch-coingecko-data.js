@@ -1,90 +1,61 @@
 /**
  * CoinGecko Pro API Data Fetcher
  * 
- * Fetches volume, liquidity, transaction data, holder counts, and PRICE CHANGES for PTGC and UFO tokens.
+ * Fetches volume, liquidity, transaction data, holder counts, and PRICE CHANGES for every token in data/config.json.
  * Also fetches price changes for RH Core tokens (WPLS, PLSX, INC, HEX, EHEX).
  * Runs every 30 minutes via GitHub Actions.
  * Stores timestamped snapshots for rolling window calculations.
  * 
  * NOTE: This script does NOT update holder-history.json
  *       Holder history is managed exclusively by fetch-burn-history.js
+ *
+ * Requests go through scripts/lib/providers.js - holders and tokens in LP fall back to Moralis
+ * when PulseScan / DexScreener are down, and coingecko-data.json records the run's provider health.
+ *
+ * Every file is checked against its schema in data/schemas/ before writing; a malformed or
+ * all-zero result (e.g. every pool failed) is not written and the previous file stays in place.
+ *
+ * Fresh readings are compared with the previous coingecko-data.json by scripts/lib/anomaly-guard.js.
+ * A quarantined reading keeps the last good value, is flagged (`quarantined`) on the token and on the
+ * history snapshot, and is logged in coingecko-data.json under `quarantine`.
  */
 
 const fs = require('fs');
 const path = require('path');
+const providers = require('./lib/providers');
+const { writeValidated } = require('./lib/data-contracts');
+const { createGuard } = require('./lib/anomaly-guard');
+
+// Shared token/pair constants
+const SHARED_CONFIG = require('../data/config.json');
 
 // Configuration
 const CONFIG = {
   apiKey: process.env.COINGECKO_API_KEY,
-  baseUrl: 'https://pro-api.coingecko.com/api/v3',
   network: 'pulsechain',
   outputDir: './data',
   
-  tokens: {
-    PTGC: {
-      address: '0x94534EeEe131840b1c0F61847c572228bdfDDE93',
-      mainPool: '0xf5A89A6487D62df5308CDDA89c566C5B5ef94C11',
-      decimals: 18,
-      totalSupply: 333333333333
-    },
-    UFO: {
-      address: '0x456548A9B56eFBbD89Ca0309edd17a9E20b04018',
-      mainPool: '0xbeA0e55b82Eb975280041F3b49C4D0bD937b72d5',
-      decimals: 18,
-      totalSupply: 999999999051
-    }
-  },
+  tokens: Object.fromEntries(
+    Object.entries(SHARED_CONFIG.tokens).map(([symbol, t]) => [symbol, {
+      address: t.address,
+      mainPool: t.mainPair,
+      decimals: t.decimals,
+      totalSupply: t.totalSupply
+    }])
+  ),
   
   // RH Core tokens for price change tracking
-  rhCores: {
-    WPLS: '0xa1077a294dde1b09bb078844df40758a5d0f9a27',
-    PLSX: '0x95b303987a60c71504d99aa1b13b4da07b0790ab',
-    INC: '0x2fa878ab3f87cc1c9737fc071108f904c0b0c95d',
-    HEX: '0x2b591e99afe9f32eaa6214f7b7629768c40eeb39',
-    EHEX: '0x57fde0a71132198bbec939b98976993d8d89d225'
-  }
+  rhCores: SHARED_CONFIG.rhCores
 };
 
 // Rate limiting helper
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// API fetch with error handling and retry
-async function fetchAPI(endpoint, retries = 3) {
-  const url = `${CONFIG.baseUrl}${endpoint}`;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'x-cg-pro-api-key': CONFIG.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (response.status === 429) {
-        console.log(`Rate limited, waiting 60 seconds (attempt ${attempt}/${retries})`);
-        await sleep(60000);
-        continue;
-      }
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      return await response.json();
-    } catch (error) {
-      console.error(`Attempt ${attempt}/${retries} failed for ${endpoint}:`, error.message);
-      if (attempt === retries) throw error;
-      await sleep(2000 * attempt);
-    }
-  }
-}
-
 // Fetch price changes for a token by contract address
 async function fetchPriceChanges(tokenAddress, tokenName) {
   console.log(`  Fetching price changes for ${tokenName} (${tokenAddress.slice(0, 10)}...)`);
   try {
-    const data = await fetchAPI(`/coins/pulsechain/contract/${tokenAddress}`);
+    const data = await providers.getJSON('coingecko', `/coins/pulsechain/contract/${tokenAddress}`);
     
     if (data && data.market_data) {
       const priceChanges = {
@@ -106,59 +77,52 @@ async function fetchPriceChanges(tokenAddress, tokenName) {
   }
 }
 
-// Fetch holder count from PulseScan (free, no API key needed)
-async function fetchHolderCount(tokenAddress) {
-  try {
-    const url = `https://api.scan.pulsechain.com/api/v2/tokens/${tokenAddress}`;
-    const res = await fetch(url);
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
-    }
-    const data = await res.json();
-    const holders = data.holders ? parseInt(data.holders) : null;
-    console.log(`  Holders for ${tokenAddress.slice(0, 10)}...: ${holders}`);
-    return holders;
-  } catch (error) {
-    console.error(`PulseScan holder error for ${tokenAddress}:`, error.message);
-    return null;
-  }
+// Fetch holder count (PulseScan, Moralis fallback)
+async function fetchHolderCount(tokenAddress, tokenName) {
+  const holders = await providers.getHolderCount(tokenAddress, tokenName);
+  console.log(`  Holders for ${tokenAddress.slice(0, 10)}...: ${holders}`);
+  return holders;
 }
 
-// Fetch tokensInLP from DexScreener (free, no API key needed)
-async function fetchTokensInLP(tokenAddress) {
-  try {
-    const url = `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`;
-    const res = await fetch(url);
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
-    }
-    const data = await res.json();
-    if (!data.pairs || data.pairs.length === 0) {
-      return 0;
-    }
-    
-    let totalTokensInLP = 0;
-    for (const pair of data.pairs) {
-      const isBase = pair.baseToken?.address?.toLowerCase() === tokenAddress.toLowerCase();
-      if (isBase && pair.liquidity?.base) {
-        totalTokensInLP += pair.liquidity.base;
-      } else if (!isBase && pair.liquidity?.quote) {
-        totalTokensInLP += pair.liquidity.quote;
+// Fetch tokensInLP (DexScreener, Moralis pair reserves fallback)
+async function fetchTokensInLP(tokenAddress, tokenName) {
+  const addr = tokenAddress.toLowerCase();
+  const totalTokensInLP = await providers.fetchMetric('tokensInLP', tokenName, {
+    dexscreener: async () => {
+      const data = await providers.getJSON('dexscreener', `/tokens/${tokenAddress}`);
+      let total = 0;
+      for (const pair of data.pairs || []) {
+        const isBase = pair.baseToken?.address?.toLowerCase() === addr;
+        if (isBase && pair.liquidity?.base) {
+          total += pair.liquidity.base;
+        } else if (!isBase && pair.liquidity?.quote) {
+          total += pair.liquidity.quote;
+        }
+      }
+      return total;
+    },
+    moralis: async () => {
+      const data = await providers.getJSON('moralis', `/erc20/${tokenAddress}/pairs`, { chain: providers.MORALIS_CHAIN, limit: 50 });
+      if (!data.pairs) return null;
+      let total = 0;
+      for (const pair of data.pairs) {
+        if (pair.token0?.address?.toLowerCase() === addr) total += Number(pair.reserve0 || 0);
+        else if (pair.token1?.address?.toLowerCase() === addr) total += Number(pair.reserve1 || 0);
       }
+      return total;
     }
+  });
+  if (totalTokensInLP !== null) {
     console.log(`  Tokens in LP for ${tokenAddress.slice(0, 10)}...: ${totalTokensInLP.toLocaleString()}`);
-    return totalTokensInLP;
-  } catch (error) {
-    console.error(`DexScreener tokensInLP error for ${tokenAddress}:`, error.message);
-    return null;
   }
+  return totalTokensInLP;
 }
 
 // Fetch all pools for a token
 async function fetchTokenPools(address) {
   console.log(`Fetching pools for ${address.slice(0, 10)}...`);
   try {
-    const data = await fetchAPI(`/onchain/networks/${CONFIG.network}/tokens/${address}/pools?page=1`);
+    const data = await providers.getJSON('coingecko', `/onchain/networks/${CONFIG.network}/tokens/${address}/pools?page=1`);
     return data?.data || [];
   } catch (e) {
     console.error('Error fetching pools:', e.message);
@@ -169,7 +133,7 @@ async function fetchTokenPools(address) {
 // Fetch pool info with liquidity
 async function fetchPoolInfo(poolAddress) {
   try {
-    const data = await fetchAPI(`/onchain/networks/${CONFIG.network}/pools/${poolAddress}`);
+    const data = await providers.getJSON('coingecko', `/onchain/networks/${CONFIG.network}/pools/${poolAddress}`);
     return data?.data?.attributes || null;
   } catch (e) {
     console.error(`Error fetching pool ${poolAddress}:`, e.message);
@@ -180,7 +144,7 @@ async function fetchPoolInfo(poolAddress) {
 // Fetch OHLCV data for volume
 async function fetchOHLCV(poolAddress, days = 90) {
   try {
-    const data = await fetchAPI(
+    const data = await providers.getJSON('coingecko', 
       `/onchain/networks/${CONFIG.network}/pools/${poolAddress}/ohlcv/day?aggregate=1&limit=${days}`
     );
     return data?.data?.attributes?.ohlcv_list || [];
@@ -193,7 +157,7 @@ async function fetchOHLCV(poolAddress, days = 90) {
 // Fetch recent trades
 async function fetchTrades(poolAddress) {
   try {
-    const data = await fetchAPI(
+    const data = await providers.getJSON('coingecko', 
       `/onchain/networks/${CONFIG.network}/pools/${poolAddress}/trades`
     );
     return data?.data || [];
@@ -264,16 +228,17 @@ function loadHistory(filename) {
   return { snapshots: [] };
 }
 
-// Save data to file
-function saveData(filename, data) {
+// Save data to file if it matches data/schemas/<schema>.schema.json
+function saveData(filename, data, schema) {
   const outputPath = path.join(CONFIG.outputDir, filename);
   
   if (!fs.existsSync(CONFIG.outputDir)) {
     fs.mkdirSync(CONFIG.outputDir, { recursive: true });
   }
   
-  fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
-  console.log(`Saved: ${outputPath}`);
+  if (writeValidated(outputPath, data, schema, 2)) {
+    console.log(`Saved: ${outputPath}`);
+  }
 }
 
 // Fetch all data for a token
@@ -295,10 +260,10 @@ async function fetchTokenData(tokenName, tokenConfig) {
     result.priceChanges = await fetchPriceChanges(tokenConfig.address, tokenName);
     await sleep(500);
     
-    result.holders = await fetchHolderCount(tokenConfig.address);
+    result.holders = await fetchHolderCount(tokenConfig.address, tokenName);
     await sleep(500);
     
-    result.tokensInLP = await fetchTokensInLP(tokenConfig.address);
+    result.tokensInLP = await fetchTokensInLP(tokenConfig.address, tokenName);
     await sleep(500);
     
     const pools = await fetchTokenPools(tokenConfig.address);
@@ -413,25 +378,56 @@ async function main() {
   // Fetch RH Core price changes
   const rhCoreData = await fetchRHCorePriceChanges();
   
-  // Append to histories (NOT holder-history)
-  liquidityHistory.snapshots.push({
-    timestamp,
-    PTGC: tokenData.PTGC.liquidity,
-    UFO: tokenData.UFO.liquidity
-  });
+  const tokenNames = Object.keys(tokenData);
+  
+  // Anomaly guard - compare with the previous run's aggregates (which hold only good or carried values)
+  const previousData = loadHistory('coingecko-data.json');
+  const guard = createGuard(previousData.quarantine);
+  console.log('\n========== Checking readings against history ==========');
+  
+  for (const name of tokenNames) {
+    const t = tokenData[name];
+    const prev = previousData[name];
+    const { values, quarantined } = guard.check(name, {
+      liquidity: t.liquidity,
+      volume: t.volume.vol7d,
+      holders: t.holders,
+      tokensInLP: t.tokensInLP,
+      txns: t.transactions.total
+    }, prev && {
+      liquidity: prev.liquidity,
+      volume: prev.volume?.vol7d,
+      holders: prev.holders,
+      tokensInLP: prev.tokensInLP,
+      txns: prev.transactions?.total,
+      quarantined: prev.quarantined
+    });
+    
+    // Volume and transactions are carried whole from the previous run
+    if (quarantined?.volume) t.volume = prev.volume;
+    if (quarantined?.txns) t.transactions = prev.transactions;
+    t.liquidity = values.liquidity;
+    t.holders = values.holders;
+    t.tokensInLP = values.tokensInLP;
+    t.quarantined = quarantined;
+  }
   
-  transactionHistory.snapshots.push({
-    timestamp,
-    PTGC: tokenData.PTGC.transactions,
-    UFO: tokenData.UFO.transactions
-  });
+  // Append to histories (NOT holder-history) - one key per registry token
+  const perToken = field => Object.fromEntries(tokenNames.map(name => [name, tokenData[name][field]]));
+  // `quarantined: { SYM: reason }` on a snapshot whose value for SYM was carried forward
+  const flagged = metric => {
+    const flags = Object.fromEntries(tokenNames
+      .filter(name => tokenData[name].quarantined?.[metric])
+      .map(name => [name, tokenData[name].quarantined[metric]]));
+    return Object.keys(flags).length > 0 ? { quarantined: flags } : {};
+  };
   
-  if (tokenData.PTGC.tokensInLP !== null || tokenData.UFO.tokensInLP !== null) {
-    tokensInLPHistory.snapshots.push({
-      timestamp,
-      PTGC: tokenData.PTGC.tokensInLP,
-      UFO: tokenData.UFO.tokensInLP
-    });
+  liquidityHistory.snapshots.push({ timestamp, ...perToken('liquidity'), ...flagged('liquidity') });
+  
+  transactionHistory.snapshots.push({ timestamp, ...perToken('transactions'), ...flagged('txns') });
+  
+  if (tokenNames.some(name => tokenData[name].tokensInLP !== null)) {
+    tokensInLPHistory.snapshots.push({ timestamp, ...perToken('tokensInLP'), ...flagged('tokensInLP') });
   }
   
   // Trim histories to last 500 snapshots
@@ -450,35 +446,30 @@ async function main() {
   transactionHistory.lastUpdated = timestamp;
   tokensInLPHistory.lastUpdated = timestamp;
   
-  saveData('liquidity-history.json', liquidityHistory);
-  saveData('transaction-history.json', transactionHistory);
-  saveData('tokensinlp-history.json', tokensInLPHistory);
+  saveData('liquidity-history.json', liquidityHistory, 'liquidity-history');
+  saveData('transaction-history.json', transactionHistory, 'transaction-history');
+  saveData('tokensinlp-history.json', tokensInLPHistory, 'tokensinlp-history');
   
   // Save current aggregates
-  const coingeckoData = {
-    lastUpdated: timestamp,
-    PTGC: {
-      volume: tokenData.PTGC.volume,
-      liquidity: tokenData.PTGC.liquidity,
-      transactions: tokenData.PTGC.transactions,
-      holders: tokenData.PTGC.holders,
-      tokensInLP: tokenData.PTGC.tokensInLP,
-      poolCount: tokenData.PTGC.poolCount,
-      priceChanges: tokenData.PTGC.priceChanges
-    },
-    UFO: {
-      volume: tokenData.UFO.volume,
-      liquidity: tokenData.UFO.liquidity,
-      transactions: tokenData.UFO.transactions,
-      holders: tokenData.UFO.holders,
-      tokensInLP: tokenData.UFO.tokensInLP,
-      poolCount: tokenData.UFO.poolCount,
-      priceChanges: tokenData.UFO.priceChanges
-    },
-    rhCores: rhCoreData
-  };
+  const coingeckoData = { lastUpdated: timestamp };
+  for (const name of tokenNames) {
+    const t = tokenData[name];
+    coingeckoData[name] = {
+      volume: t.volume,
+      liquidity: t.liquidity,
+      transactions: t.transactions,
+      holders: t.holders,
+      tokensInLP: t.tokensInLP,
+      poolCount: t.poolCount,
+      priceChanges: t.priceChanges,
+      ...(t.quarantined && { quarantined: t.quarantined })
+    };
+  }
+  coingeckoData.rhCores = rhCoreData;
+  coingeckoData.providers = providers.providerReport();
+  coingeckoData.quarantine = guard.log();
   
-  saveData('coingecko-data.json', coingeckoData);
+  saveData('coingecko-data.json', coingeckoData, 'coingecko-data');
   
   console.log('\n' + '='.repeat(60));
   console.log('Fetch Complete!');
@@ -0,0 +1,184 @@
+/**
+ * DAO Treasury Snapshot Collector
+ *
+ * Records the same breakdown the dashboard DAO card computes live (fetchDAOData in index.html):
+ * - Available PLS (DAO contract balance minus lockedAmount())
+ * - Pending PLS (lockedAmount() - reserved by live proposals)
+ * - Management wallet PLS + managementTokens x DexScreener prices
+ * - Total USD
+ * for every token in data/config.json with a daoContract.
+ * Runs every 6 hours via GitHub Actions.
+ *
+ * Management token prices go through scripts/lib/anomaly-guard.js: a price that comes back 0
+ * while the previous snapshot had one keeps the previous price (flagged `quarantined` on the token)
+ * instead of dropping the token from the total.
+ *
+ * The history is checked against data/schemas/dao-treasury-history.schema.json before writing;
+ * a file that fails is not written and the previous one stays in place.
+ *
+ * FILES WRITTEN:
+ * - dao-treasury-history.json ({ lastUpdated, providers, quarantine, SYM: { snapshots: [...] } }, oldest first)
+ *   Snapshots older than FULL_RES_DAYS are thinned to one per day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const providers = require('./lib/providers');
+const { rpcCall } = providers;
+const { writeValidated } = require('./lib/data-contracts');
+const { createGuard } = require('./lib/anomaly-guard');
+
+// Shared token/pair constants
+const SHARED_CONFIG = require('../data/config.json');
+const TOKENS = SHARED_CONFIG.tokens;
+const MANAGEMENT_TOKENS = SHARED_CONFIG.managementTokens;
+
+const OUTPUT_FILE = 'dao-treasury-history.json';
+const FULL_RES_DAYS = 90;
+const LOCKED_AMOUNT_SELECTOR = '0x6ab28bc8';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function getPLSBalanceWei(address) {
+  return BigInt(await rpcCall('eth_getBalance', [address, 'latest']) || '0x0');
+}
+
+async function getTokenBalance(tokenAddress, walletAddress, decimals) {
+  const data = '0x70a08231' + walletAddress.slice(2).toLowerCase().padStart(64, '0');
+  const result = await rpcCall('eth_call', [{ to: tokenAddress, data }, 'latest']);
+  return result && result !== '0x' ? Number(BigInt(result)) / Math.pow(10, decimals) : 0;
+}
+
+/**
+ * PLS price from the configured WPLS pair (Moralis WPLS price as fallback)
+ */
+async function fetchPLSPrice() {
+  const price = await providers.getPLSPrice();
+  if (!price) throw new Error('No PLS price from any provider');
+  return price;
+}
+
+/**
+ * Token price from its highest-liquidity PulseChain pair (same choice as the dashboard), 0 if unpriced
+ */
+async function fetchTokenPrice(tokenAddress, symbol) {
+  return (await providers.getTokenPrice(tokenAddress, symbol)) || 0;
+}
+
+/**
+ * One treasury snapshot for a DAO token. `previous` is the last stored snapshot, for the guard.
+ */
+async function fetchTreasurySnapshot(symbol, token, plsPrice, previous, guard) {
+  const daoBalanceWei = await getPLSBalanceWei(token.daoContract);
+  const lockedResult = await rpcCall('eth_call', [{ to: token.daoContract, data: LOCKED_AMOUNT_SELECTOR }, 'latest']);
+  const lockedWei = lockedResult && lockedResult.length > 2 ? BigInt(lockedResult) : 0n;
+  const availablePLS = Number(daoBalanceWei > lockedWei ? daoBalanceWei - lockedWei : 0n) / 1e18;
+  const pendingPLS = Number(lockedWei) / 1e18;
+
+  const mgmtPLS = Number(await getPLSBalanceWei(token.daoTreasury)) / 1e18;
+  const tokens = { PLS: { balance: Math.round(mgmtPLS), usd: parseFloat((mgmtPLS * plsPrice).toFixed(2)) } };
+  let managementUSD = mgmtPLS * plsPrice;
+
+  for (const t of MANAGEMENT_TOKENS) {
+    const balance = await getTokenBalance(t.address, token.daoTreasury, t.decimals);
+    if (balance <= 0.0001) continue;
+    let price = 1;
+    let quarantined = null;
+    if (!t.stablecoin) {
+      const last = previous?.tokens?.[t.symbol];
+      const checked = guard.check(`${symbol} DAO ${t.symbol}`,
+        { price: await fetchTokenPrice(t.address, t.symbol) },
+        last && { price: last.usd / last.balance, quarantined: last.quarantined });
+      price = checked.values.price;
+      quarantined = checked.quarantined;
+    }
+    const usd = balance * price;
+    // Same as the dashboard - tokens without a price are left out of the total
+    if (usd <= 0) continue;
+    tokens[t.symbol] = { balance: parseFloat(balance.toFixed(4)), usd: parseFloat(usd.toFixed(2)), ...(quarantined && { quarantined }) };
+    managementUSD += usd;
+    await delay(200);
+  }
+
+  const availableUSD = availablePLS * plsPrice;
+  const pendingUSD = pendingPLS * plsPrice;
+  const snapshot = {
+    timestamp: new Date().toISOString(),
+    plsPrice,
+    availablePLS: Math.round(availablePLS),
+    pendingPLS: Math.round(pendingPLS),
+    availableUSD: parseFloat(availableUSD.toFixed(2)),
+    pendingUSD: parseFloat(pendingUSD.toFixed(2)),
+    managementUSD: parseFloat(managementUSD.toFixed(2)),
+    tokens,
+    totalUSD: parseFloat((availableUSD + pendingUSD + managementUSD).toFixed(2))
+  };
+
+  console.log(`  Available: ${snapshot.availablePLS.toLocaleString()} PLS ($${snapshot.availableUSD.toLocaleString()})`);
+  console.log(`  Pending:   ${snapshot.pendingPLS.toLocaleString()} PLS ($${snapshot.pendingUSD.toLocaleString()})`);
+  console.log(`  Management: $${snapshot.managementUSD.toLocaleString()} (${Object.keys(tokens).join(', ')})`);
+  console.log(`  Total: $${snapshot.totalUSD.toLocaleString()}`);
+  return snapshot;
+}
+
+/**
+ * Keep full resolution for FULL_RES_DAYS, one snapshot (the last) per day before that
+ */
+function thinSnapshots(snapshots) {
+  const cutoff = Date.now() - FULL_RES_DAYS * 24 * 60 * 60 * 1000;
+  const lastPerDay = new Map();
+  const recent = [];
+  for (const snap of snapshots) {
+    if (new Date(snap.timestamp).getTime() >= cutoff) recent.push(snap);
+    else lastPerDay.set(snap.timestamp.split('T')[0], snap);
+  }
+  return [...lastPerDay.values(), ...recent];
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('='.repeat(50));
+  console.log('DAO TREASURY SNAPSHOT COLLECTOR');
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(50));
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputPath = path.join(dataDir, OUTPUT_FILE);
+
+  let history = { lastUpdated: null };
+  if (fs.existsSync(outputPath)) {
+    try {
+      history = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (e) {
+      console.log(`Could not parse ${OUTPUT_FILE}, starting fresh`);
+    }
+  }
+
+  const plsPrice = await fetchPLSPrice();
+  console.log(`PLS price: $${plsPrice}`);
+  const guard = createGuard(history.quarantine);
+
+  for (const [symbol, token] of Object.entries(TOKENS)) {
+    if (!token.daoContract || !token.daoTreasury) continue;
+    console.log(`\n${symbol} DAO:`);
+    const existing = history[symbol]?.snapshots || [];
+    const snapshot = await fetchTreasurySnapshot(symbol, token, plsPrice, existing[existing.length - 1], guard);
+    history[symbol] = { snapshots: thinSnapshots([...existing, snapshot]) };
+  }
+
+  history.lastUpdated = new Date().toISOString();
+  history.providers = providers.providerReport();
+  history.quarantine = guard.log();
+  if (writeValidated(outputPath, history, 'dao-treasury-history', 2)) {
+    console.log(`\nWritten: ${outputPath}`);
+  }
+  console.log('Completed:', new Date().toISOString());
+  console.log('='.repeat(50));
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,265 @@
+/**
+ * Holder Distribution Collector
+ *
+ * Walks the full PulseScan holder list for every token in data/config.json and stores one
+ * distribution snapshot per day: exact holder counts per tier, top-10/top-100 share,
+ * Gini coefficient and Nakamoto coefficient.
+ * Runs daily via GitHub Actions.
+ *
+ * Excluded from the distribution: LP pairs (main pair + hardcoded pairs), the staking
+ * contract and the burn address - none of them are real holders.
+ * Shares are of the supply held by the remaining wallets.
+ *
+ * Whale watch: wallets at or above the config.whaleWatch.minTier threshold are diffed against
+ * the previous run to record entries, exits and balance changes of at least changePct.
+ *
+ * Both files are checked against their schemas in data/schemas/ before writing; a file that
+ * fails is not written and the previous one stays in place.
+ *
+ * FILES WRITTEN:
+ * - holder-distribution.json ({ lastUpdated, providers, SYM: { snapshots: [...] } }, oldest first)
+ * - whale-events.json ({ lastUpdated, SYM: { holders: {address: balance}, events: [...] } }, newest event first)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const providers = require('./lib/providers');
+const { writeValidated } = require('./lib/data-contracts');
+
+// Shared token/pair constants
+const SHARED_CONFIG = require('../data/config.json');
+const TOKENS = SHARED_CONFIG.tokens;
+const HOLDER_TIERS = SHARED_CONFIG.holderTiers;
+const WHALE_WATCH = SHARED_CONFIG.whaleWatch;
+
+const OUTPUT_FILE = 'holder-distribution.json';
+const WHALE_EVENTS_FILE = 'whale-events.json';
+
+/**
+ * Addresses that hold tokens but are not holders (LPs, staking contracts, burn address).
+ * Pairs come from every token's config - the UFO/PTGC pair is listed under UFO but holds PTGC too.
+ */
+function getExcludedAddresses() {
+  const excluded = new Set([SHARED_CONFIG.burnAddress.toLowerCase()]);
+  Object.values(TOKENS).forEach(token => {
+    excluded.add(token.mainPair.toLowerCase());
+    (token.hardcodedPairs || []).forEach(p => excluded.add(p.address.toLowerCase()));
+    if (token.stakingContract) excluded.add(token.stakingContract.toLowerCase());
+  });
+  return excluded;
+}
+
+/**
+ * Fetch one holders page from PulseScan. The provider layer retries and paces the pages;
+ * a page that still fails throws - a partial walk would under-count every tier.
+ */
+function fetchHoldersPage(tokenAddress, nextPageParams) {
+  return providers.getJSON('pulsescan', `/tokens/${tokenAddress}/holders`, nextPageParams || { limit: 50 });
+}
+
+/**
+ * Walk every holder page and return { address, tokens } for real holders
+ */
+async function fetchAllHolderBalances(symbol, token) {
+  const excluded = getExcludedAddresses();
+  const balances = [];
+  let nextPageParams = null;
+  let page = 0;
+
+  while (true) {
+    const data = await fetchHoldersPage(token.address, nextPageParams);
+    const items = data.items || [];
+
+    for (const holder of items) {
+      const address = holder.address?.hash?.toLowerCase();
+      if (!address || excluded.has(address)) continue;
+      const tokens = Number(BigInt(holder.value || '0')) / Math.pow(10, token.decimals);
+      if (tokens > 0) balances.push({ address, tokens });
+    }
+
+    page++;
+    if (page % 20 === 0) console.log(`  ${symbol}: ${page} pages, ${balances.length} holders`);
+
+    if (!data.next_page_params || items.length === 0) break;
+    nextPageParams = data.next_page_params;
+  }
+
+  console.log(`  ${symbol}: ${balances.length} holders from ${page} pages`);
+  return balances;
+}
+
+/**
+ * Gini coefficient of a balance list (0 = perfectly equal, 1 = one wallet holds everything)
+ */
+function calculateGini(sortedAsc) {
+  const n = sortedAsc.length;
+  const total = sortedAsc.reduce((s, x) => s + x, 0);
+  if (n === 0 || total === 0) return 0;
+  let weighted = 0;
+  sortedAsc.forEach((x, i) => { weighted += (i + 1) * x; });
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Nakamoto coefficient - fewest wallets that together hold more than 50%
+ */
+function calculateNakamoto(sortedDesc, total) {
+  let cumulative = 0;
+  for (let i = 0; i < sortedDesc.length; i++) {
+    cumulative += sortedDesc[i];
+    if (cumulative > total / 2) return i + 1;
+  }
+  return sortedDesc.length;
+}
+
+/**
+ * Holder tier for a balance (thresholds are % of total supply, same as the dashboard)
+ */
+function getTierName(tokens, token) {
+  const pct = (tokens / token.totalSupply) * 100;
+  return (HOLDER_TIERS.find(t => pct >= t.p) || HOLDER_TIERS[HOLDER_TIERS.length - 1]).n;
+}
+
+/**
+ * Diff whale holders against the previous run - entries, exits and big balance changes.
+ * allBalances (address -> tokens) gives the balance an exiting whale dropped to. The previous run
+ * only keeps whale balances, so an entering wallet's earlier balance is unknown: entries carry
+ * prev/delta null and read as "crossed into the tier", not as a buy of the whole balance.
+ */
+function diffWhales(previous, current, allBalances, token, date) {
+  const events = [];
+  const changeRatio = WHALE_WATCH.changePct / 100;
+  const event = (type, address, balance, prev) => ({
+    t: date,
+    type,
+    address,
+    balance: Math.round(balance),
+    prev: prev == null ? null : Math.round(prev),
+    delta: prev == null ? null : Math.round(balance - prev),
+    tier: getTierName(balance, token),
+    prevTier: prev > 0 ? getTierName(prev, token) : null
+  });
+
+  for (const [address, balance] of Object.entries(current)) {
+    const prev = previous[address];
+    if (prev == null) {
+      events.push(event('entry', address, balance, null));
+    } else if (prev > 0 && Math.abs(balance - prev) / prev >= changeRatio) {
+      events.push(event(balance > prev ? 'increase' : 'decrease', address, balance, prev));
+    }
+  }
+  for (const [address, prev] of Object.entries(previous)) {
+    if (current[address] == null) {
+      events.push(event('exit', address, allBalances.get(address) || 0, prev));
+    }
+  }
+
+  // Biggest moves first within a run (an entry counts its balance)
+  const size = e => Math.abs(e.delta ?? e.balance);
+  return events.sort((a, b) => size(b) - size(a));
+}
+
+/**
+ * Build a distribution snapshot from holder balances
+ */
+function buildSnapshot(balances, token) {
+  const sortedDesc = balances.map(b => b.tokens).sort((a, b) => b - a);
+  const heldSupply = sortedDesc.reduce((s, x) => s + x, 0);
+  const share = count => heldSupply > 0 ? sortedDesc.slice(0, count).reduce((s, x) => s + x, 0) / heldSupply * 100 : 0;
+
+  // Tier thresholds are % of total supply, same as the dashboard
+  const tiers = Object.fromEntries(HOLDER_TIERS.map(t => [t.n, 0]));
+  for (const tokens of sortedDesc) {
+    tiers[getTierName(tokens, token)]++;
+  }
+
+  return {
+    date: new Date().toISOString().split('T')[0],
+    holders: sortedDesc.length,
+    heldSupply: Math.round(heldSupply),
+    tiers,
+    top10Pct: parseFloat(share(10).toFixed(3)),
+    top100Pct: parseFloat(share(100).toFixed(3)),
+    gini: parseFloat(calculateGini([...sortedDesc].reverse()).toFixed(4)),
+    nakamoto: calculateNakamoto(sortedDesc, heldSupply)
+  };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('='.repeat(50));
+  console.log('HOLDER DISTRIBUTION COLLECTOR');
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(50));
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputPath = path.join(dataDir, OUTPUT_FILE);
+
+  let history = { lastUpdated: null };
+  if (fs.existsSync(outputPath)) {
+    try {
+      history = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (e) {
+      console.log(`Could not parse ${OUTPUT_FILE}, starting fresh`);
+    }
+  }
+
+  const whalesPath = path.join(dataDir, WHALE_EVENTS_FILE);
+  let whales = { lastUpdated: null };
+  if (fs.existsSync(whalesPath)) {
+    try {
+      whales = JSON.parse(fs.readFileSync(whalesPath, 'utf8'));
+    } catch (e) {
+      console.log(`Could not parse ${WHALE_EVENTS_FILE}, starting fresh`);
+    }
+  }
+  const whaleMinPct = HOLDER_TIERS.find(t => t.n === WHALE_WATCH.minTier).p;
+  const now = new Date().toISOString();
+
+  for (const [symbol, token] of Object.entries(TOKENS)) {
+    console.log(`\n${symbol}: walking holder list...`);
+    const balances = await fetchAllHolderBalances(symbol, token);
+    const snapshot = buildSnapshot(balances, token);
+
+    // Whale watch - first run only records the holder set, there is nothing to diff yet
+    const whaleThreshold = token.totalSupply * whaleMinPct / 100;
+    const currentWhales = Object.fromEntries(balances.filter(b => b.tokens >= whaleThreshold).map(b => [b.address, b.tokens]));
+    const previousWhales = whales[symbol]?.holders;
+    const newEvents = previousWhales
+      ? diffWhales(previousWhales, currentWhales, new Map(balances.map(b => [b.address, b.tokens])), token, now)
+      : [];
+    whales[symbol] = {
+      holders: Object.fromEntries(Object.entries(currentWhales).map(([a, t]) => [a, Math.round(t)])),
+      events: [...newEvents, ...(whales[symbol]?.events || [])].slice(0, WHALE_WATCH.maxEvents)
+    };
+    console.log(`  Whales (${WHALE_WATCH.minTier}+): ${Object.keys(currentWhales).length}, new events: ${newEvents.length}`);
+
+    // One snapshot per day - a re-run replaces today's entry
+    const snapshots = (history[symbol]?.snapshots || []).filter(s => s.date !== snapshot.date);
+    snapshots.push(snapshot);
+    snapshots.sort((a, b) => a.date.localeCompare(b.date));
+    history[symbol] = { snapshots };
+
+    console.log(`  Tiers: ${Object.entries(snapshot.tiers).map(([n, c]) => `${n} ${c}`).join(', ')}`);
+    console.log(`  Top10: ${snapshot.top10Pct}%, Top100: ${snapshot.top100Pct}%, Gini: ${snapshot.gini}, Nakamoto: ${snapshot.nakamoto}`);
+  }
+
+  history.lastUpdated = new Date().toISOString();
+  history.providers = providers.providerReport();
+  whales.lastUpdated = now;
+  if (writeValidated(outputPath, history, 'holder-distribution', 2)) {
+    console.log(`\nWritten: ${outputPath}`);
+  }
+  if (writeValidated(whalesPath, whales, 'whale-events', 2)) {
+    console.log(`Written: ${whalesPath}`);
+  }
+  console.log('Completed:', new Date().toISOString());
+  console.log('='.repeat(50));
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
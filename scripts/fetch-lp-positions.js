@@ -0,0 +1,317 @@
+/**
+ * Treasury LP Positions Collector
+ *
+ * Finds the LP tokens the DAO wallets hold (any LP token seen in the stored treasury transfer
+ * history, with a live balanceOf > 0) and for each pair records:
+ * - Owned share of the pool (balance / totalSupply)
+ * - Underlying token amounts (reserves x share) and their USD value
+ * - Performance against holding the deposited tokens instead (impermanent loss)
+ * Runs every 6 hours via GitHub Actions, after the treasury collector has refreshed the history.
+ *
+ * Deposits are read from the history: tokens (and PLS for addLiquidityETH) the DAO sent in the
+ * transaction that minted LP to it. Removals shrink the deposited amounts pro rata. LP moved between
+ * the two DAO wallets is ignored; LP received any other way has no deposit record (hodl = null).
+ *
+ * The output is checked against data/schemas/lp-positions.schema.json before writing; a run where
+ * every position failed (all-zero totals) is not written and the previous file stays in place.
+ * A position with a token no provider can price is kept with priced: false and valueUSD null, and
+ * is left out of the totals rather than counted at $0.
+ *
+ * FILES WRITTEN:
+ * - lp-positions.json ({ lastUpdated, plsPrice, positions: [...], totals: { valueUSD, comparedValueUSD, hodlUSD, unpriced }, providers })
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LedgerClassifier = require('./lib/ledger-classifier');
+const providers = require('./lib/providers');
+const { rpcCall } = providers;
+const { writeValidated } = require('./lib/data-contracts');
+
+// Shared token/wallet constants
+const SHARED_CONFIG = require('../data/config.json');
+const KNOWN_TOKENS = SHARED_CONFIG.knownTokens;
+
+const OUTPUT_FILE = 'lp-positions.json';
+const DAO_WALLETS = SHARED_CONFIG.treasuryWallets.map(w => w.toLowerCase());
+const WPLS_ADDRESS = SHARED_CONFIG.rhCores.WPLS.toLowerCase();
+const STABLE_ADDRESSES = new Set(SHARED_CONFIG.managementTokens.filter(t => t.stablecoin).map(t => t.address.toLowerCase()));
+// Positions worth less than this are left out (dust left behind by removals)
+const MIN_POSITION_USD = 1;
+
+const SELECTORS = {
+  balanceOf: '0x70a08231',
+  totalSupply: '0x18160ddd',
+  getReserves: '0x0902f1ac',
+  token0: '0x0dfe1681',
+  token1: '0xd21220a7',
+  decimals: '0x313ce567',
+  symbol: '0x95d89b41'
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function ethCall(to, data) {
+  const result = await rpcCall('eth_call', [{ to, data }, 'latest']);
+  if (!result || result === '0x') throw new Error(`Empty eth_call result from ${to}`);
+  return result.slice(2);
+}
+
+const word = (hex, i) => hex.slice(i * 64, i * 64 + 64);
+const wordToBigInt = w => BigInt('0x' + (w || '0'));
+const toUnits = (raw, decimals) => Number(raw) / Math.pow(10, decimals);
+
+/**
+ * ERC-20 symbol - ABI string, or bytes32 for older tokens
+ */
+function decodeSymbol(hex) {
+  if (hex.length >= 192) {
+    const length = Number(wordToBigInt(word(hex, 1)));
+    return Buffer.from(hex.slice(128, 128 + length * 2), 'hex').toString('utf8');
+  }
+  return Buffer.from(word(hex, 0), 'hex').toString('utf8').replace(/\0/g, '');
+}
+
+const tokenInfoCache = new Map();
+async function getTokenInfo(address) {
+  if (!tokenInfoCache.has(address)) {
+    const known = KNOWN_TOKENS[address];
+    let symbol = known?.symbol;
+    let decimals = known?.decimals;
+    if (!symbol) symbol = await ethCall(address, SELECTORS.symbol).then(decodeSymbol).catch(() => 'Unknown');
+    if (decimals == null) decimals = await ethCall(address, SELECTORS.decimals).then(h => Number(wordToBigInt(word(h, 0)))).catch(() => 18);
+    tokenInfoCache.set(address, { address, symbol, decimals });
+  }
+  return tokenInfoCache.get(address);
+}
+
+/**
+ * PLS price from the configured WPLS pair (Moralis WPLS price as fallback)
+ */
+async function fetchPLSPrice() {
+  const price = await providers.getPLSPrice();
+  if (!price) throw new Error('No PLS price from any provider');
+  return price;
+}
+
+/**
+ * Token price from its highest-liquidity PulseChain pair (same choice as the dashboard).
+ * Null when no provider has a price - the position is then unpriced, not worth $0.
+ */
+const priceCache = new Map();
+async function fetchTokenPrice(tokenAddress, plsPrice) {
+  if (tokenAddress === WPLS_ADDRESS) return plsPrice;
+  if (STABLE_ADDRESSES.has(tokenAddress)) return 1;
+  if (!priceCache.has(tokenAddress)) {
+    priceCache.set(tokenAddress, (await providers.getTokenPrice(tokenAddress, KNOWN_TOKENS[tokenAddress]?.symbol)) || null);
+  }
+  return priceCache.get(tokenAddress);
+}
+
+function loadHistory(dataDir) {
+  const read = file => {
+    const filePath = path.join(dataDir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  };
+  const transfers = [1, 2].flatMap(n => read(`treasury-wallet${n}-tokens.json`)?.transfers || []);
+  const txns = [1, 2].flatMap(n => read(`treasury-wallet${n}-txns.json`)?.transactions || []);
+  return { transfers: transfers.filter(t => !t.possible_spam), txns };
+}
+
+/**
+ * LP minted to / sent from the DAO, per LP token, oldest first. Each mint carries the tokens the DAO
+ * sent in the same transaction (by token address, PLS counted as WPLS).
+ */
+function collectLPEvents(transfers, txns) {
+  const txByHash = new Map(txns.map(tx => [tx.hash.toLowerCase(), tx]));
+  const byHash = new Map();
+  transfers.forEach(t => {
+    const hash = t.hash.toLowerCase();
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    // Intra-DAO transfers are stored in both wallets' files - keep one copy
+    const list = byHash.get(hash);
+    if (!list.some(o => o.contractAddress === t.contractAddress && o.from === t.from && o.to === t.to && o.value === t.value)) list.push(t);
+  });
+
+  const events = new Map();
+  for (const [hash, list] of byHash) {
+    for (const lp of list.filter(t => LedgerClassifier.isLPToken(t))) {
+      const from = lp.from.toLowerCase();
+      const to = lp.to.toLowerCase();
+      const fromDAO = DAO_WALLETS.includes(from);
+      const toDAO = DAO_WALLETS.includes(to);
+      if (fromDAO === toDAO) continue;
+
+      const pair = lp.contractAddress.toLowerCase();
+      const amount = toUnits(BigInt(lp.value), LedgerClassifier.getTokenDecimals(lp, KNOWN_TOKENS));
+      if (!events.has(pair)) events.set(pair, []);
+
+      if (fromDAO) {
+        events.get(pair).push({ type: 'out', timeStamp: Number(lp.timeStamp), amount });
+        continue;
+      }
+      const deposits = {};
+      list.forEach(t => {
+        if (LedgerClassifier.isLPToken(t) || !DAO_WALLETS.includes(t.from.toLowerCase()) || DAO_WALLETS.includes(t.to.toLowerCase())) return;
+        const addr = t.contractAddress.toLowerCase();
+        deposits[addr] = (deposits[addr] || 0) + toUnits(BigInt(t.value), LedgerClassifier.getTokenDecimals(t, KNOWN_TOKENS));
+      });
+      // addLiquidityETH - PLS sent minus any refunded
+      const tx = txByHash.get(hash);
+      if (tx && DAO_WALLETS.includes(tx.from?.toLowerCase())) {
+        const refunded = (tx.internal_transactions || [])
+          .filter(i => DAO_WALLETS.includes(i.to?.toLowerCase()))
+          .reduce((sum, i) => sum + Number(i.value || 0) / 1e18, 0);
+        const pls = Number(tx.value || 0) / 1e18 - refunded;
+        if (pls > 0) deposits[WPLS_ADDRESS] = (deposits[WPLS_ADDRESS] || 0) + pls;
+      }
+      events.get(pair).push({ type: 'in', timeStamp: Number(lp.timeStamp), amount, deposits });
+    }
+  }
+
+  events.forEach(list => list.sort((a, b) => a.timeStamp - b.timeStamp));
+  return events;
+}
+
+/**
+ * Deposited token0/token1 amounts still backing the held LP. Null when any LP arrived without
+ * a matching deposit (transferred in) - there is nothing to compare against then.
+ */
+function depositBasis(events, token0, token1) {
+  let held = 0;
+  let amount0 = 0;
+  let amount1 = 0;
+  let complete = true;
+  for (const e of events) {
+    if (e.type === 'in') {
+      const d0 = e.deposits[token0] || 0;
+      const d1 = e.deposits[token1] || 0;
+      if (!(d0 > 0 && d1 > 0)) complete = false;
+      amount0 += d0;
+      amount1 += d1;
+      held += e.amount;
+    } else if (held > 0) {
+      const keep = Math.max(0, 1 - e.amount / held);
+      amount0 *= keep;
+      amount1 *= keep;
+      held = Math.max(0, held - e.amount);
+    }
+  }
+  return complete ? { amount0, amount1 } : null;
+}
+
+/**
+ * Live position for one pair
+ */
+async function fetchPosition(pair, events, plsPrice) {
+  let balanceRaw = 0n;
+  for (const wallet of DAO_WALLETS) {
+    const data = SELECTORS.balanceOf + wallet.slice(2).padStart(64, '0');
+    balanceRaw += wordToBigInt(word(await ethCall(pair, data), 0));
+  }
+  if (balanceRaw === 0n) return null;
+
+  const [token0Hex, token1Hex, reservesHex, supplyHex] = await Promise.all([
+    ethCall(pair, SELECTORS.token0),
+    ethCall(pair, SELECTORS.token1),
+    ethCall(pair, SELECTORS.getReserves),
+    ethCall(pair, SELECTORS.totalSupply)
+  ]);
+  const totalSupplyRaw = wordToBigInt(word(supplyHex, 0));
+  if (totalSupplyRaw === 0n) return null;
+
+  const token0 = await getTokenInfo('0x' + word(token0Hex, 0).slice(24));
+  const token1 = await getTokenInfo('0x' + word(token1Hex, 0).slice(24));
+  const share = Number(balanceRaw * 1000000000000n / totalSupplyRaw) / 1e12;
+  const amount0 = toUnits(wordToBigInt(word(reservesHex, 0)), token0.decimals) * share;
+  const amount1 = toUnits(wordToBigInt(word(reservesHex, 1)), token1.decimals) * share;
+  const price0 = await fetchTokenPrice(token0.address, plsPrice);
+  const price1 = await fetchTokenPrice(token1.address, plsPrice);
+  const priced = price0 != null && price1 != null;
+  const valueUSD = priced ? amount0 * price0 + amount1 * price1 : null;
+
+  const basis = depositBasis(events, token0.address, token1.address);
+  const hodlUSD = basis && priced ? basis.amount0 * price0 + basis.amount1 * price1 : null;
+
+  return {
+    pair,
+    symbol: `${token0.symbol}/${token1.symbol}`,
+    token0: { address: token0.address, symbol: token0.symbol, amount: amount0, price: price0 },
+    token1: { address: token1.address, symbol: token1.symbol, amount: amount1, price: price1 },
+    balance: toUnits(balanceRaw, 18),
+    sharePct: parseFloat((share * 100).toFixed(6)),
+    priced,
+    valueUSD: priced ? parseFloat(valueUSD.toFixed(2)) : null,
+    deposited: basis ? { amount0: basis.amount0, amount1: basis.amount1 } : null,
+    hodlUSD: hodlUSD == null ? null : parseFloat(hodlUSD.toFixed(2)),
+    // Value of the LP vs holding what was deposited, in percent (negative = impermanent loss)
+    vsHodlPct: hodlUSD > 0 ? parseFloat(((valueUSD / hodlUSD - 1) * 100).toFixed(2)) : null
+  };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('='.repeat(50));
+  console.log('TREASURY LP POSITIONS COLLECTOR');
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(50));
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputPath = path.join(dataDir, OUTPUT_FILE);
+
+  const { transfers, txns } = loadHistory(dataDir);
+  if (transfers.length === 0) throw new Error('No treasury transfer history in data/ - run fetch-treasury-transactions.js first');
+  const events = collectLPEvents(transfers, txns);
+  console.log(`${events.size} LP tokens in the treasury history`);
+
+  const plsPrice = await fetchPLSPrice();
+  console.log(`PLS price: $${plsPrice}`);
+
+  const positions = [];
+  for (const [pair, pairEvents] of events) {
+    try {
+      const position = await fetchPosition(pair, pairEvents, plsPrice);
+      if (!position || (position.priced && position.valueUSD < MIN_POSITION_USD)) continue;
+      positions.push(position);
+      const vsHodl = position.vsHodlPct == null ? 'n/a' : `${position.vsHodlPct}%`;
+      console.log(position.priced
+        ? `  ${position.symbol}: ${position.sharePct}% of pool, $${position.valueUSD.toLocaleString()} (vs hodl ${vsHodl})`
+        : `  ${position.symbol}: ${position.sharePct}% of pool, unpriced (no token price) - left out of the totals`);
+    } catch (e) {
+      // Not a V2 pair (no getReserves) or the RPC failed - skip it this run
+      console.log(`  ${pair}: skipped (${e.message})`);
+    }
+    await delay(100);
+  }
+  // Unpriced positions last - their size is unknown
+  positions.sort((a, b) => (b.valueUSD ?? -1) - (a.valueUSD ?? -1));
+
+  const priced = positions.filter(p => p.priced);
+  const withHodl = priced.filter(p => p.hodlUSD != null);
+  const output = {
+    lastUpdated: new Date().toISOString(),
+    plsPrice,
+    positions,
+    totals: {
+      valueUSD: parseFloat(priced.reduce((sum, p) => sum + p.valueUSD, 0).toFixed(2)),
+      // Only positions with a full deposit record, so the two sides compare like for like
+      comparedValueUSD: parseFloat(withHodl.reduce((sum, p) => sum + p.valueUSD, 0).toFixed(2)),
+      hodlUSD: parseFloat(withHodl.reduce((sum, p) => sum + p.hodlUSD, 0).toFixed(2)),
+      unpriced: positions.length - priced.length
+    },
+    providers: providers.providerReport()
+  };
+  console.log(`\n${positions.length} positions, total $${output.totals.valueUSD.toLocaleString()}`);
+  if (writeValidated(outputPath, output, 'lp-positions', 2)) {
+    console.log(`Written: ${outputPath}`);
+  }
+  console.log('Completed:', new Date().toISOString());
+  console.log('='.repeat(50));
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
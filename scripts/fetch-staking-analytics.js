@@ -0,0 +1,275 @@
+/**
+ * Staking Analytics Collector
+ *
+ * Indexes stake/unstake/lock events from each staking contract in data/config.json
+ * (tokens with stakingContract + stakingEvents) and records:
+ * - Number of stakers (wallets with a positive staked balance)
+ * - Lock length distribution (by count and amount)
+ * - Upcoming unlock schedule (tokens unlocking per week, next 52 weeks)
+ * - Daily staked-supply history from totalStaked()/totalLocked()
+ * Runs every 6 hours via GitHub Actions. Logs are fetched incrementally from lastBlock.
+ *
+ * Event layout (config stakingEvents): the user is topic 1, `data` lists the uint256 words.
+ * The topics and layouts have not been checked against the contract's verified source, so each run
+ * checks them against the chain instead (checkLayout): every log must carry exactly the configured
+ * words, lock unlock times must fall after the lock, and the indexed stakes must add up to
+ * totalStaked(). A run that fails the check throws and writes nothing.
+ *
+ * The output is checked against data/schemas/staking-analytics.schema.json before writing; a file
+ * that fails is not written, so the previous file (and its lastBlock) stays in place.
+ *
+ * FILES WRITTEN:
+ * - staking-analytics.json ({ lastUpdated, providers, SYM: { lastBlock, stakers, locks, summary, history } })
+ */
+
+const fs = require('fs');
+const path = require('path');
+const providers = require('./lib/providers');
+const { rpcCall } = providers;
+const { writeValidated } = require('./lib/data-contracts');
+
+// Shared token/pair constants
+const SHARED_CONFIG = require('../data/config.json');
+const TOKENS = SHARED_CONFIG.tokens;
+
+const OUTPUT_FILE = 'staking-analytics.json';
+const TOTAL_STAKED_SELECTOR = '0x817b1cd2';
+const TOTAL_LOCKED_SELECTOR = '0x56891412';
+const LOG_CHUNK_BLOCKS = 100000;
+const MIN_CHUNK_BLOCKS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const UNLOCK_WEEKS = 52;
+// Staked balances below this are treated as fully unstaked (rounding dust)
+const DUST = 1e-6;
+// Indexed stakes may differ from totalStaked() by this fraction before the layout is distrusted
+const RECONCILE_TOLERANCE = 0.005;
+const MAX_LOCK_MS = 10 * 365 * DAY_MS;
+
+const LOCK_BUCKETS = [
+  { label: '<30D', maxDays: 30 },
+  { label: '30-90D', maxDays: 90 },
+  { label: '90-180D', maxDays: 180 },
+  { label: '180D-1Y', maxDays: 365 },
+  { label: '1Y+', maxDays: Infinity }
+];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const toHex = n => '0x' + n.toString(16);
+
+/**
+ * eth_getLogs over [fromBlock, toBlock], halving the chunk when the RPC rejects a range
+ */
+async function fetchLogs(address, topics, fromBlock, toBlock) {
+  const logs = [];
+  let chunk = LOG_CHUNK_BLOCKS;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + chunk - 1, toBlock);
+    try {
+      const result = await rpcCall('eth_getLogs', [{ address, topics: [topics], fromBlock: toHex(start), toBlock: toHex(end) }]);
+      logs.push(...(result || []));
+      start = end + 1;
+      if (chunk < LOG_CHUNK_BLOCKS) chunk = Math.min(LOG_CHUNK_BLOCKS, chunk * 2);
+    } catch (e) {
+      if (chunk <= MIN_CHUNK_BLOCKS) throw e;
+      chunk = Math.max(MIN_CHUNK_BLOCKS, Math.floor(chunk / 2));
+      console.log(`  getLogs failed (${e.message}), retrying with ${chunk} blocks`);
+      await delay(1000);
+    }
+    await delay(100);
+  }
+  return logs;
+}
+
+const blockTimeCache = new Map();
+async function getBlockTime(blockNumber) {
+  if (!blockTimeCache.has(blockNumber)) {
+    const block = await rpcCall('eth_getBlockByNumber', [toHex(blockNumber), false]);
+    blockTimeCache.set(blockNumber, parseInt(block.timestamp, 16) * 1000);
+  }
+  return blockTimeCache.get(blockNumber);
+}
+
+/**
+ * Decode a stake/unstake/lock log using its configured data words
+ */
+function decodeEvent(log, spec, decimals) {
+  const body = log.data.slice(2);
+  const event = { user: '0x' + log.topics[1].slice(26).toLowerCase(), block: parseInt(log.blockNumber, 16) };
+  spec.data.forEach((name, i) => {
+    const word = BigInt('0x' + (body.slice(i * 64, i * 64 + 64) || '0'));
+    event[name] = name === 'amount' ? Number(word) / Math.pow(10, decimals) : Number(word);
+  });
+  return event;
+}
+
+/**
+ * Problems with one log against its configured layout: the user in topic 1 and nothing else
+ * indexed, and exactly one data word per configured name
+ */
+function checkLayout(log, spec) {
+  const problems = [];
+  if (log.topics.length !== 2) problems.push(`${log.topics.length - 1} indexed topics, expected 1 (the user)`);
+  const words = (log.data.length - 2) / 64;
+  if (words !== spec.data.length) problems.push(`${words} data words, expected ${spec.data.length} (${spec.data.join(', ')})`);
+  return problems;
+}
+
+async function callUint(contract, selector, decimals) {
+  const result = await rpcCall('eth_call', [{ to: contract, data: selector }, 'latest']);
+  return result && result !== '0x' ? Number(BigInt(result)) / Math.pow(10, decimals) : 0;
+}
+
+/**
+ * Stakers count, lock length distribution and weekly unlock schedule from the indexed state
+ */
+function buildSummary(stakers, locks) {
+  const now = Date.now();
+  const lockLengths = LOCK_BUCKETS.map(b => ({ label: b.label, count: 0, amount: 0 }));
+  for (const lock of locks) {
+    const days = (lock.unlockTime - lock.lockedAt) / DAY_MS;
+    const idx = LOCK_BUCKETS.findIndex(b => days < b.maxDays);
+    lockLengths[idx].count++;
+    lockLengths[idx].amount += lock.amount;
+  }
+
+  // Weeks start on Monday (UTC), same as the burn rate chart
+  const thisMonday = now - ((new Date(now).getUTCDay() + 6) % 7) * DAY_MS;
+  const weekStart = new Date(new Date(thisMonday).toISOString().split('T')[0]).getTime();
+  const unlockSchedule = [];
+  for (let i = 0; i < UNLOCK_WEEKS; i++) {
+    unlockSchedule.push({ week: new Date(weekStart + i * WEEK_MS).toISOString().split('T')[0], amount: 0, count: 0 });
+  }
+  for (const lock of locks) {
+    if (lock.unlockTime < now) continue;
+    const idx = Math.floor((lock.unlockTime - weekStart) / WEEK_MS);
+    if (idx < 0 || idx >= UNLOCK_WEEKS) continue;
+    unlockSchedule[idx].amount += lock.amount;
+    unlockSchedule[idx].count++;
+  }
+
+  const stakerCount = Object.values(stakers).filter(b => b > DUST).length;
+  return {
+    stakers: stakerCount,
+    activeLocks: locks.filter(l => l.unlockTime >= now).length,
+    lockLengths: lockLengths.map(b => ({ ...b, amount: Math.round(b.amount) })),
+    unlockSchedule: unlockSchedule.map(w => ({ ...w, amount: Math.round(w.amount) }))
+  };
+}
+
+/**
+ * Index new events for one staking token and refresh its summary/history
+ */
+async function updateToken(token, existing, latestBlock) {
+  const events = token.stakingEvents;
+  const stakers = { ...(existing?.stakers || {}) };
+  const locks = [...(existing?.locks || [])];
+  const fromBlock = existing?.lastBlock ? existing.lastBlock + 1 : (token.stakingStartBlock || 0);
+
+  console.log(`  Indexing blocks ${fromBlock} -> ${latestBlock}`);
+  const topics = [events.stake.topic, events.unstake.topic, events.lock.topic];
+  const logs = await fetchLogs(token.stakingContract, topics, fromBlock, latestBlock);
+  logs.sort((a, b) => parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) || parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
+  console.log(`  ${logs.length} new events`);
+
+  const layoutProblems = [];
+  for (const log of logs) {
+    const topic = log.topics[0].toLowerCase();
+    const spec = Object.values(events).find(e => e.topic.toLowerCase() === topic);
+    const problems = spec ? checkLayout(log, spec) : [];
+    if (problems.length) {
+      layoutProblems.push(`${log.transactionHash}: ${problems.join(', ')}`);
+      continue;
+    }
+    if (topic === events.stake.topic.toLowerCase()) {
+      const e = decodeEvent(log, events.stake, token.decimals);
+      stakers[e.user] = (stakers[e.user] || 0) + e.amount;
+    } else if (topic === events.unstake.topic.toLowerCase()) {
+      const e = decodeEvent(log, events.unstake, token.decimals);
+      stakers[e.user] = Math.max(0, (stakers[e.user] || 0) - e.amount);
+      if (stakers[e.user] <= DUST) delete stakers[e.user];
+    } else if (topic === events.lock.topic.toLowerCase()) {
+      const e = decodeEvent(log, events.lock, token.decimals);
+      const lock = { user: e.user, amount: e.amount, lockedAt: await getBlockTime(e.block), unlockTime: e.unlockTime * 1000 };
+      if (!(lock.unlockTime > lock.lockedAt && lock.unlockTime - lock.lockedAt < MAX_LOCK_MS)) {
+        layoutProblems.push(`${log.transactionHash}: unlockTime ${e.unlockTime} is not a time after the lock`);
+        continue;
+      }
+      locks.push(lock);
+    }
+  }
+
+  // Staked-supply history - one point per day, a re-run replaces today's
+  const totalStaked = await callUint(token.stakingContract, TOTAL_STAKED_SELECTOR, token.decimals);
+  const locked = await callUint(token.stakingContract, TOTAL_LOCKED_SELECTOR, token.decimals);
+
+  // Only meaningful when indexing started at the contract's first stake
+  const indexed = Object.values(stakers).reduce((sum, b) => sum + b, 0);
+  if (!token.stakingStartBlock && Math.abs(indexed - totalStaked) > totalStaked * RECONCILE_TOLERANCE) {
+    layoutProblems.push(`indexed stakes total ${Math.round(indexed)}, totalStaked() is ${Math.round(totalStaked)}`);
+  }
+  if (layoutProblems.length) {
+    layoutProblems.slice(0, 10).forEach(p => console.log(`  Layout mismatch - ${p}`));
+    throw new Error(`Staking logs do not fit the stakingEvents layout in data/config.json (${layoutProblems.length} problems)`);
+  }
+  const summary = buildSummary(stakers, locks);
+  const point = {
+    date: new Date().toISOString().split('T')[0],
+    staked: Math.round(Math.max(0, totalStaked - locked)),
+    locked: Math.round(locked),
+    totalPct: parseFloat(((totalStaked / token.totalSupply) * 100).toFixed(4)),
+    stakers: summary.stakers
+  };
+  const history = (existing?.history || []).filter(h => h.date !== point.date);
+  history.push(point);
+
+  console.log(`  Stakers: ${summary.stakers}, active locks: ${summary.activeLocks}, staked: ${point.totalPct}% of supply`);
+  return { lastBlock: latestBlock, stakers, locks, summary, history };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('='.repeat(50));
+  console.log('STAKING ANALYTICS COLLECTOR');
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(50));
+
+  const dataDir = path.join(__dirname, '..', 'data');
+  const outputPath = path.join(dataDir, OUTPUT_FILE);
+
+  let output = { lastUpdated: null };
+  if (fs.existsSync(outputPath)) {
+    try {
+      output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (e) {
+      console.log(`Could not parse ${OUTPUT_FILE}, starting fresh`);
+    }
+  }
+
+  const latestBlock = parseInt(await rpcCall('eth_blockNumber', []), 16);
+  console.log(`Latest block: ${latestBlock}`);
+
+  for (const [symbol, token] of Object.entries(TOKENS)) {
+    if (!token.stakingContract || !token.stakingEvents) continue;
+    console.log(`\n${symbol} staking:`);
+    output[symbol] = await updateToken(token, output[symbol], latestBlock);
+  }
+
+  output.lastUpdated = new Date().toISOString();
+  output.providers = providers.providerReport();
+  if (writeValidated(outputPath, output, 'staking-analytics', 2)) {
+    console.log(`\nWritten: ${outputPath}`);
+  }
+  console.log('Completed:', new Date().toISOString());
+  console.log('='.repeat(50));
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
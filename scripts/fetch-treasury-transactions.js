@@ -10,10 +10,24 @@
  * - treasury-wallet2-txns.json (all txns for wallet 2)
  * - treasury-wallet1-tokens.json (all token transfers for wallet 1)
  * - treasury-wallet2-tokens.json (all token transfers for wallet 2)
+ * - treasury-prices.json (daily USD price per token the wallets moved, for the ledger P&L)
+ * - treasury-ledger.json (full history classified with scripts/lib/ledger-classifier.js, newest first)
+ * - treasury-months/YYYY-MM.json (both wallets' txns + token transfers for one UTC month)
+ * - treasury-months.json (manifest: months newest first with their txn/transfer counts)
+ * - treasury-balances.json (per-wallet token balances replayed from the history + daily USD composition)
+ *
+ * Requests go through scripts/lib/providers.js; treasury-summary.json records the run's provider health.
+ *
+ * Every file is checked against its schema in data/schemas/ (scripts/lib/data-contracts.js) before
+ * writing; a malformed or empty result is not written and the previous file stays in place.
+ * A refused monthly shard stays in the manifest flagged `invalid: true`, so the ledger can warn.
  */
 
 const fs = require('fs');
 const path = require('path');
+const LedgerClassifier = require('./lib/ledger-classifier');
+const providers = require('./lib/providers');
+const { writeValidated } = require('./lib/data-contracts');
 
 // Moralis API Key - set via environment variable
 const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
@@ -22,66 +36,36 @@ if (!MORALIS_API_KEY) {
   process.exit(1);
 }
 
-// PulseChain chain identifier for Moralis
-const CHAIN = '0x171'; // PulseChain mainnet (369 in hex)
+const CHAIN = providers.MORALIS_CHAIN;
+
+// Shared token/wallet constants
+const SHARED_CONFIG = require('../data/config.json');
 
 // DAO Treasury Wallet Addresses
-const WALLET1 = '0xeeac1da7f930078ab757ad8a64cf7c5e17b931e1';
-const WALLET2 = '0x440773B5104a102c00EF26979a5c897155336A34';
+const [WALLET1, WALLET2] = SHARED_CONFIG.treasuryWallets;
 
 // Known token addresses for labeling
-const KNOWN_TOKENS = {
-  '0xa1077a294dde1b09bb078844df40758a5d0f9a27': { symbol: 'WPLS', name: 'Wrapped PLS', decimals: 18 },
-  '0x02dcdd04e3f455d838cd1249292c58f3b79e3c3c': { symbol: 'WETH', name: 'Wrapped ETH', decimals: 18 },
-  '0x94534eeee131840b1c0f61847c572228bdfdde93': { symbol: 'PTGC', name: 'PTGC', decimals: 18 },
-  '0x456548a9b56efbbd89ca0309edd17a9e20b04018': { symbol: 'UFO', name: 'UFO', decimals: 18 },
-  '0x95b303987a60c71504d99aa1b13b4da07b0790ab': { symbol: 'PLSX', name: 'PulseX', decimals: 18 },
-  '0x2fa878ab3f87cc1c9737fc071108f904c0b0c95d': { symbol: 'INC', name: 'Incentive', decimals: 18 },
-  '0x2b591e99afe9f32eaa6214f7b7629768c40eeb39': { symbol: 'HEX', name: 'HEX', decimals: 8 },
-  '0x57fde0a71132198bbec939b98976993d8d89d225': { symbol: 'EHEX', name: 'eHEX', decimals: 8 },
-  '0x0d86eb9f43c57f6ff3bc9e23d8f9d82503f0e84b': { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
-  '0xefaeee334f0fd1712f9a8cc375f427d9cdd40d73': { symbol: 'USDT', name: 'Tether', decimals: 6 },
-  '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', name: 'DAI', decimals: 18 },
-};
+const KNOWN_TOKENS = SHARED_CONFIG.knownTokens;
 
 // Known DEX routers
-const KNOWN_ROUTERS = {
-  '0x165c3410fc91b0e65d87e89d8bcadd85c9e6dbf1': 'PulseX V1 Router',
-  '0x98bf93ebf5c380c0e6ae8e192a7e2ae08edacc3a': 'PulseX V2 Router',
-  '0x636f6407b90661b73b1c0f7e24f4c79f624d0738': '9inch Router',
-};
+const KNOWN_ROUTERS = SHARED_CONFIG.routers;
 
-const MORALIS_BASE = 'https://deep-index.moralis.io/api/v2.2';
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-/**
- * Make Moralis API request
- */
-async function moralisRequest(endpoint, params = {}) {
-  const url = new URL(`${MORALIS_BASE}${endpoint}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null) url.searchParams.set(k, v);
-  });
-  
-  try {
-    const response = await fetch(url.toString(), {
-      headers: {
-        'X-API-Key': MORALIS_API_KEY,
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`HTTP ${response.status}: ${text}`);
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.log(`  API Error: ${error.message}`);
-    return null;
-  }
-}
+// Native PLS is priced through WPLS
+const WPLS_ADDRESS = SHARED_CONFIG.rhCores.WPLS.toLowerCase();
+
+// Composition chart buckets. WPLS counts as PLS; the other RH cores are their own bucket
+const PTGC_ADDRESS = SHARED_CONFIG.tokens.PTGC.address.toLowerCase();
+const RH_CORE_ADDRESSES = new Set(Object.values(SHARED_CONFIG.rhCores).map(a => a.toLowerCase()).filter(a => a !== WPLS_ADDRESS));
+const STABLE_SYMBOLS = new Set(SHARED_CONFIG.managementTokens.filter(t => t.stablecoin).map(t => t.symbol));
+const STABLE_ADDRESSES = new Set([
+  ...SHARED_CONFIG.managementTokens.filter(t => t.stablecoin).map(t => t.address.toLowerCase()),
+  ...Object.entries(KNOWN_TOKENS).filter(([, t]) => STABLE_SYMBOLS.has(t.symbol)).map(([addr]) => addr)
+]);
+
+// Historical price lookups per run - a first run backfills over several runs, newest days first
+const MAX_PRICE_LOOKUPS = 400;
 
 /**
  * Load existing transactions from file
@@ -138,7 +122,7 @@ async function fetchWalletTransactions(walletAddress, walletName, existingTxns =
       params.from_block = lastBlock + 1;
     }
     
-    const data = await moralisRequest(`/${walletAddress}`, params);
+    const data = await providers.tryJSON('moralis', `/${walletAddress}`, params);
     
     if (!data) {
       console.log(`  Page ${page + 1}: API error, retrying in 5s...`);
@@ -257,7 +241,7 @@ async function fetchWalletTokenTransfers(walletAddress, walletName, existingTran
       params.from_block = lastBlock + 1;
     }
     
-    const data = await moralisRequest(`/${walletAddress}/erc20/transfers`, params);
+    const data = await providers.tryJSON('moralis', `/${walletAddress}/erc20/transfers`, params);
     
     if (!data) {
       console.log(`  Page ${page + 1}: API error, retrying in 5s...`);
@@ -348,7 +332,7 @@ async function fetchWalletTokenTransfers(walletAddress, walletName, existingTran
 async function fetchWalletBalances(walletAddress, walletName) {
   console.log(`\nFetching ${walletName} token balances...`);
   
-  const data = await moralisRequest(`/${walletAddress}/erc20`, {
+  const data = await providers.tryJSON('moralis', `/${walletAddress}/erc20`, {
     chain: CHAIN
   });
   
@@ -387,12 +371,8 @@ async function fetchWalletBalances(walletAddress, walletName) {
 async function fetchNativeBalance(walletAddress, walletName) {
   console.log(`\nFetching ${walletName} native (PLS) balance...`);
   
-  const data = await moralisRequest(`/${walletAddress}/balance`, {
-    chain: CHAIN
-  });
-  
-  if (data && data.balance) {
-    const balance = Number(BigInt(data.balance)) / 1e18;
+  const balance = await providers.getNativeBalance(walletAddress, walletName);
+  if (balance !== null) {
     console.log(`  ${walletName} PLS balance: ${balance.toLocaleString()}`);
     return balance;
   }
@@ -400,6 +380,282 @@ async function fetchNativeBalance(walletAddress, walletName) {
   return 0;
 }
 
+/**
+ * Daily USD prices for every token the treasury moved, looked up at a block from that day.
+ * Prices are keyed by UTC date then lowercase token address. A token Moralis cannot price
+ * (LP tokens, dead tokens) is stored as null so it is not looked up again - only when Moralis
+ * answered that: a reply without usdPrice, or a 404 (its "no pools to price this token"). A
+ * timeout, 5xx or 429 leaves the price unset so the next run retries it.
+ */
+async function fetchHistoricalPrices(allTxns, allTransfers, existingPrices = {}) {
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('Fetching historical token prices via Moralis...');
+  console.log(`${'='.repeat(50)}`);
+  
+  const prices = { ...existingPrices };
+  const dayKey = ts => new Date(Number(ts) * 1000).toISOString().split('T')[0];
+  
+  // One block per day (the latest we saw) and the tokens moved that day
+  const days = new Map();
+  const addToken = (ts, block, addr) => {
+    const day = dayKey(ts);
+    if (!days.has(day)) days.set(day, { block: 0, tokens: new Set() });
+    const entry = days.get(day);
+    entry.block = Math.max(entry.block, Number(block) || 0);
+    entry.tokens.add(addr);
+  };
+  
+  allTxns.forEach(tx => addToken(tx.timeStamp, tx.block_number, WPLS_ADDRESS));
+  allTransfers.forEach(tx => {
+    if (tx.possible_spam) return;
+    const sym = (tx.tokenSymbol || '').toUpperCase();
+    if (sym.includes('LP') || sym.includes('UNI-V2')) return;
+    addToken(tx.timeStamp, tx.blockNumber, tx.contractAddress.toLowerCase());
+  });
+  
+  const missing = [];
+  for (const [day, { block, tokens }] of days) {
+    for (const addr of tokens) {
+      if (!(prices[day] && addr in prices[day])) missing.push({ day, block, addr });
+    }
+  }
+  missing.sort((a, b) => b.day.localeCompare(a.day));
+  console.log(`  ${missing.length} day/token prices missing, looking up ${Math.min(missing.length, MAX_PRICE_LOOKUPS)}`);
+  
+  for (const { day, block, addr } of missing.slice(0, MAX_PRICE_LOOKUPS)) {
+    let data;
+    try {
+      data = await providers.getJSON('moralis', `/erc20/${addr}/price`, { chain: CHAIN, to_block: block });
+    } catch (e) {
+      console.log(`  API Error: ${e.message}`);
+      if (e.status !== 404) continue;
+      data = null;
+    }
+    if (!prices[day]) prices[day] = {};
+    prices[day][addr] = data?.usdPrice != null ? Number(data.usdPrice) : null;
+    await delay(200);
+  }
+  
+  // Keep the file in date order
+  return Object.fromEntries(Object.entries(prices).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function balanceCategory(addr, transfer) {
+  if (addr === 'PLS' || addr === WPLS_ADDRESS) return 'pls';
+  if (addr === PTGC_ADDRESS) return 'ptgc';
+  if (STABLE_ADDRESSES.has(addr)) return 'stables';
+  if (LedgerClassifier.isLPToken(transfer)) return 'lp';
+  if (RH_CORE_ADDRESSES.has(addr)) return 'rhCores';
+  return 'other';
+}
+
+/**
+ * USD per LP token on the days the DAO added or removed liquidity: what went in (or came back out)
+ * divided by the LP tokens minted (or burned). Moralis has no LP prices, so the composition chart
+ * carries these forward. Transactions with any unpriced leg are skipped.
+ */
+function deriveLPPrices(wallets, prices) {
+  const lpPrices = {};
+  const dayKey = ts => new Date(Number(ts) * 1000).toISOString().split('T')[0];
+  
+  for (const { address, txns, transfers } of wallets) {
+    const txByHash = new Map(txns.map(tx => [tx.hash.toLowerCase(), tx]));
+    const byHash = new Map();
+    transfers.forEach(t => {
+      if (t.possible_spam) return;
+      const hash = t.hash.toLowerCase();
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(t);
+    });
+    
+    for (const [hash, list] of byHash) {
+      const lpIn = list.filter(t => t.to.toLowerCase() === address && LedgerClassifier.isLPToken(t));
+      const lpOut = list.filter(t => t.from.toLowerCase() === address && LedgerClassifier.isLPToken(t));
+      const lp = lpIn.length === 1 ? lpIn[0] : lpOut.length === 1 ? lpOut[0] : null;
+      if (!lp) continue;
+      const adding = lp === lpIn[0];
+      const day = dayKey(lp.timeStamp);
+      const tx = txByHash.get(hash);
+      
+      // Other side of the LP transaction: tokens (and PLS) sent for an add, received for a remove
+      const legs = list
+        .filter(t => !LedgerClassifier.isLPToken(t) && (adding ? t.from : t.to).toLowerCase() === address)
+        .map(t => ({ addr: t.contractAddress.toLowerCase(), amt: Number(t.value) / Math.pow(10, LedgerClassifier.getTokenDecimals(t, KNOWN_TOKENS)) }));
+      const pls = !tx ? 0 : adding
+        ? (tx.from?.toLowerCase() === address ? Number(tx.value || 0) / 1e18 : 0)
+        : (tx.internal_transactions || []).filter(i => i.to?.toLowerCase() === address).reduce((sum, i) => sum + Number(i.value || 0) / 1e18, 0);
+      if (pls > 0) legs.push({ addr: WPLS_ADDRESS, amt: pls });
+      if (legs.length === 0) continue;
+      
+      let usd = 0;
+      const priced = legs.every(({ addr, amt }) => {
+        const price = prices[day]?.[addr] ?? (STABLE_ADDRESSES.has(addr) ? 1 : null);
+        if (price == null) return false;
+        usd += amt * price;
+        return true;
+      });
+      const lpAmt = Number(lp.value) / Math.pow(10, LedgerClassifier.getTokenDecimals(lp, KNOWN_TOKENS));
+      if (!priced || !(lpAmt > 0) || !(usd > 0)) continue;
+      if (!lpPrices[day]) lpPrices[day] = {};
+      lpPrices[day][lp.contractAddress.toLowerCase()] = usd / lpAmt;
+    }
+  }
+  return lpPrices;
+}
+
+/**
+ * Replay each wallet's PLS (value, internal transfers, gas) and token transfers into balances,
+ * then value both wallets day by day for the ledger's composition chart.
+ * Balances are stored only on the days they change: [[date, balance], ...] is the balance at the
+ * end of each listed day, unchanged until the next entry. Prices carry forward from the last day
+ * that had one; stables fall back to $1, tokens that never had a price are left out of the USD.
+ */
+function buildBalanceHistory(wallets, prices) {
+  const dayKey = ts => new Date(Number(ts) * 1000).toISOString().split('T')[0];
+  const round = n => Math.abs(n) < 1e-9 ? 0 : parseFloat(n.toPrecision(10));
+  const tokens = { PLS: { symbol: 'PLS', category: 'pls' } };
+  const deltas = new Map();  // day -> wallet -> token -> delta
+  
+  const addDelta = (ts, wallet, token, amount) => {
+    if (!amount) return;
+    const day = dayKey(ts);
+    if (!deltas.has(day)) deltas.set(day, new Map());
+    const byWallet = deltas.get(day);
+    if (!byWallet.has(wallet)) byWallet.set(wallet, new Map());
+    const byToken = byWallet.get(wallet);
+    byToken.set(token, (byToken.get(token) || 0) + amount);
+  };
+  
+  for (const { address, txns, transfers } of wallets) {
+    txns.forEach(tx => {
+      const success = tx.txreceipt_status === '1' || tx.isError === '0';
+      const value = Number(tx.value || 0) / 1e18;
+      if (tx.from?.toLowerCase() === address) {
+        // Gas is paid whether or not the transaction succeeded
+        addDelta(tx.timeStamp, address, 'PLS', -(Number(tx.gasUsed || 0) * Number(tx.gasPrice || 0) / 1e18));
+        if (success) addDelta(tx.timeStamp, address, 'PLS', -value);
+      }
+      if (!success) return;
+      if (tx.to?.toLowerCase() === address) addDelta(tx.timeStamp, address, 'PLS', value);
+      (tx.internal_transactions || []).forEach(i => {
+        const iValue = Number(i.value || 0) / 1e18;
+        if (i.to?.toLowerCase() === address) addDelta(tx.timeStamp, address, 'PLS', iValue);
+        if (i.from?.toLowerCase() === address) addDelta(tx.timeStamp, address, 'PLS', -iValue);
+      });
+    });
+    
+    transfers.forEach(t => {
+      if (t.possible_spam) return;
+      const addr = t.contractAddress.toLowerCase();
+      if (!tokens[addr]) tokens[addr] = { symbol: LedgerClassifier.getTokenSymbol(t, KNOWN_TOKENS), category: balanceCategory(addr, t) };
+      const amount = Number(t.value || 0) / Math.pow(10, LedgerClassifier.getTokenDecimals(t, KNOWN_TOKENS));
+      if (t.to.toLowerCase() === address) addDelta(t.timeStamp, address, addr, amount);
+      if (t.from.toLowerCase() === address) addDelta(t.timeStamp, address, addr, -amount);
+    });
+  }
+  
+  const days = [...deltas.keys()].sort();
+  if (days.length === 0) return { tokens, wallets: {}, composition: [] };
+  
+  const lpPrices = deriveLPPrices(wallets, prices);
+  const balances = Object.fromEntries(wallets.map(w => [w.address, new Map()]));
+  const series = Object.fromEntries(wallets.map(w => [w.address, {}]));
+  const lastPrice = new Map();
+  const composition = [];
+  const today = dayKey(Date.now() / 1000);
+  
+  for (let d = new Date(days[0]); d.toISOString().split('T')[0] <= today; d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.toISOString().split('T')[0];
+    
+    for (const [wallet, byToken] of deltas.get(day) || []) {
+      for (const [token, delta] of byToken) {
+        const balance = round((balances[wallet].get(token) || 0) + delta);
+        balances[wallet].set(token, balance);
+        if (!series[wallet][token]) series[wallet][token] = [];
+        series[wallet][token].push([day, balance]);
+      }
+    }
+    
+    Object.entries(prices[day] || {}).forEach(([addr, price]) => { if (price != null) lastPrice.set(addr, price); });
+    Object.entries(lpPrices[day] || {}).forEach(([addr, price]) => lastPrice.set(addr, price));
+    
+    const row = { date: day, pls: 0, ptgc: 0, stables: 0, lp: 0, rhCores: 0, other: 0 };
+    for (const byToken of Object.values(balances)) {
+      for (const [token, balance] of byToken) {
+        if (!(balance > 0)) continue;
+        const category = tokens[token].category;
+        const price = lastPrice.get(token === 'PLS' ? WPLS_ADDRESS : token) ?? (category === 'stables' ? 1 : null);
+        if (price != null) row[category] += balance * price;
+      }
+    }
+    Object.keys(row).forEach(k => { if (k !== 'date') row[k] = parseFloat(row[k].toFixed(2)); });
+    composition.push(row);
+  }
+  
+  return { tokens, wallets: series, composition };
+}
+
+/**
+ * Compare the replayed end balances with the live balances fetched this run. A gap means the
+ * stored history is missing transfers (API paging, tokens Moralis flags as spam, rebasing tokens).
+ */
+function logBalanceDrift(balanceHistory, live) {
+  for (const { address, native, tokens } of live) {
+    const last = token => {
+      const points = balanceHistory.wallets[address]?.[token];
+      return points ? points[points.length - 1][1] : 0;
+    };
+    const checks = [{ symbol: 'PLS', actual: native, replayed: last('PLS') }, ...tokens.map(t => ({
+      symbol: t.symbol, actual: t.balance, replayed: last((t.address || '').toLowerCase())
+    }))];
+    const drifted = checks.filter(c => Math.abs(c.replayed - c.actual) > Math.max(1e-6, Math.abs(c.actual) * 0.01));
+    console.log(`  ${address.slice(0, 10)}: ${checks.length - drifted.length}/${checks.length} replayed balances match live`);
+    drifted.slice(0, 5).forEach(c => console.log(`    ${c.symbol}: replayed ${c.replayed.toLocaleString()} vs live ${c.actual.toLocaleString()}`));
+  }
+}
+
+/**
+ * Split both wallets' history into one file per UTC month so the ledger only downloads the
+ * months it shows. Wallet 1 rows come before wallet 2 rows, same as the combined files.
+ * Shards carry no timestamp of their own, so unchanged months produce no diff.
+ */
+function writeMonthShards(dataDir, allTxns, allTransfers) {
+  const shardDir = path.join(dataDir, 'treasury-months');
+  if (!fs.existsSync(shardDir)) fs.mkdirSync(shardDir, { recursive: true });
+  
+  const monthKey = ts => new Date(Number(ts) * 1000).toISOString().slice(0, 7);
+  const months = new Map();
+  const getMonth = ts => {
+    const key = monthKey(ts);
+    if (!months.has(key)) months.set(key, { month: key, transactions: [], transfers: [] });
+    return months.get(key);
+  };
+  allTxns.forEach(tx => getMonth(tx.timeStamp).transactions.push(tx));
+  allTransfers.forEach(tx => getMonth(tx.timeStamp).transfers.push(tx));
+  
+  // A refused shard stays listed, flagged invalid - the previous file (if any) is left in place
+  // and the ledger warns that the month may be incomplete instead of the month vanishing
+  const manifest = [];
+  for (const shard of [...months.values()].sort((a, b) => b.month.localeCompare(a.month))) {
+    const file = `treasury-months/${shard.month}.json`;
+    const written = writeValidated(path.join(dataDir, file), shard, 'treasury-month');
+    manifest.push({
+      month: shard.month,
+      file,
+      transactions: shard.transactions.length,
+      transfers: shard.transfers.length,
+      ...(!written && { invalid: true })
+    });
+  }
+  const refused = manifest.filter(m => m.invalid).map(m => m.month);
+  if (refused.length > 0) console.error(`  ${refused.length} monthly shard(s) refused, flagged invalid in the manifest: ${refused.join(', ')}`);
+  
+  const manifestPath = path.join(dataDir, 'treasury-months.json');
+  if (writeValidated(manifestPath, { lastUpdated: new Date().toISOString(), months: manifest }, 'treasury-months', 2)) {
+    console.log(`  Written: ${manifestPath} (${manifest.length} monthly shards in treasury-months/)`);
+  }
+}
+
 /**
  * Main function
  */
@@ -428,6 +684,7 @@ async function main() {
   const existingW2Txns = loadExistingData(path.join(dataDir, 'treasury-wallet2-txns.json'));
   const existingW1Tokens = loadExistingData(path.join(dataDir, 'treasury-wallet1-tokens.json'));
   const existingW2Tokens = loadExistingData(path.join(dataDir, 'treasury-wallet2-tokens.json'));
+  const existingPrices = loadExistingData(path.join(dataDir, 'treasury-prices.json'));
   
   // ============================================
   // FETCH WALLET 1 DATA
@@ -475,6 +732,17 @@ async function main() {
   await delay(300);
   
   const wallet2NativeBalance = await fetchNativeBalance(WALLET2, 'Wallet 2');
+  await delay(500);
+  
+  // ============================================
+  // FETCH HISTORICAL PRICES
+  // ============================================
+  
+  const prices = await fetchHistoricalPrices(
+    [...wallet1Txns, ...wallet2Txns],
+    [...wallet1Tokens, ...wallet2Tokens],
+    existingPrices?.prices || {}
+  );
   
   // ============================================
   // WRITE DATA FILES
@@ -486,43 +754,94 @@ async function main() {
   
   // Wallet 1 transactions
   const w1TxnPath = path.join(dataDir, 'treasury-wallet1-txns.json');
-  fs.writeFileSync(w1TxnPath, JSON.stringify({
+  if (writeValidated(w1TxnPath, {
     wallet: WALLET1,
     lastUpdated: new Date().toISOString(),
     count: wallet1Txns.length,
     transactions: wallet1Txns
-  }));
-  console.log(`  Written: ${w1TxnPath} (${(fs.statSync(w1TxnPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }, 'treasury-wallet-txns')) {
+    console.log(`  Written: ${w1TxnPath} (${(fs.statSync(w1TxnPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }
   
   // Wallet 2 transactions
   const w2TxnPath = path.join(dataDir, 'treasury-wallet2-txns.json');
-  fs.writeFileSync(w2TxnPath, JSON.stringify({
+  if (writeValidated(w2TxnPath, {
     wallet: WALLET2,
     lastUpdated: new Date().toISOString(),
     count: wallet2Txns.length,
     transactions: wallet2Txns
-  }));
-  console.log(`  Written: ${w2TxnPath} (${(fs.statSync(w2TxnPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }, 'treasury-wallet-txns')) {
+    console.log(`  Written: ${w2TxnPath} (${(fs.statSync(w2TxnPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }
   
   // Wallet 1 token transfers
   const w1TokenPath = path.join(dataDir, 'treasury-wallet1-tokens.json');
-  fs.writeFileSync(w1TokenPath, JSON.stringify({
+  if (writeValidated(w1TokenPath, {
     wallet: WALLET1,
     lastUpdated: new Date().toISOString(),
     count: wallet1Tokens.length,
     transfers: wallet1Tokens
-  }));
-  console.log(`  Written: ${w1TokenPath} (${(fs.statSync(w1TokenPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }, 'treasury-wallet-tokens')) {
+    console.log(`  Written: ${w1TokenPath} (${(fs.statSync(w1TokenPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }
   
   // Wallet 2 token transfers
   const w2TokenPath = path.join(dataDir, 'treasury-wallet2-tokens.json');
-  fs.writeFileSync(w2TokenPath, JSON.stringify({
+  if (writeValidated(w2TokenPath, {
     wallet: WALLET2,
     lastUpdated: new Date().toISOString(),
     count: wallet2Tokens.length,
     transfers: wallet2Tokens
-  }));
-  console.log(`  Written: ${w2TokenPath} (${(fs.statSync(w2TokenPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }, 'treasury-wallet-tokens')) {
+    console.log(`  Written: ${w2TokenPath} (${(fs.statSync(w2TokenPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }
+  
+  // Historical prices
+  const pricesPath = path.join(dataDir, 'treasury-prices.json');
+  if (writeValidated(pricesPath, {
+    lastUpdated: new Date().toISOString(),
+    days: Object.keys(prices).length,
+    prices
+  }, 'treasury-prices')) {
+    console.log(`  Written: ${pricesPath} (${(fs.statSync(pricesPath).size / 1024).toFixed(1)} KB)`);
+  }
+  
+  // Classified ledger - same rows the ledger page builds, for consumers that don't run the classifier
+  const ledgerRows = LedgerClassifier.createClassifier(SHARED_CONFIG).classifyRange(
+    [...wallet1Txns, ...wallet2Txns],
+    [...wallet1Tokens, ...wallet2Tokens],
+    prices,
+    0,
+    Math.floor(Date.now() / 1000)
+  );
+  const ledgerPath = path.join(dataDir, 'treasury-ledger.json');
+  if (writeValidated(ledgerPath, {
+    lastUpdated: new Date().toISOString(),
+    count: ledgerRows.length,
+    transactions: ledgerRows
+  }, 'treasury-ledger')) {
+    console.log(`  Written: ${ledgerPath} (${ledgerRows.length} rows, ${(fs.statSync(ledgerPath).size / 1024 / 1024).toFixed(2)} MB)`);
+  }
+  
+  // Replayed balances + daily composition
+  const balanceHistory = buildBalanceHistory([
+    { address: WALLET1.toLowerCase(), txns: wallet1Txns, transfers: wallet1Tokens },
+    { address: WALLET2.toLowerCase(), txns: wallet2Txns, transfers: wallet2Tokens }
+  ], prices);
+  logBalanceDrift(balanceHistory, [
+    { address: WALLET1.toLowerCase(), native: wallet1NativeBalance, tokens: wallet1Balances },
+    { address: WALLET2.toLowerCase(), native: wallet2NativeBalance, tokens: wallet2Balances }
+  ]);
+  const balancesPath = path.join(dataDir, 'treasury-balances.json');
+  if (writeValidated(balancesPath, {
+    lastUpdated: new Date().toISOString(),
+    ...balanceHistory
+  }, 'treasury-balances')) {
+    console.log(`  Written: ${balancesPath} (${balanceHistory.composition.length} days, ${(fs.statSync(balancesPath).size / 1024).toFixed(1)} KB)`);
+  }
+  
+  // Monthly shards + manifest for the ledger page
+  writeMonthShards(dataDir, [...wallet1Txns, ...wallet2Txns], [...wallet1Tokens, ...wallet2Tokens]);
   
   // ============================================
   // WRITE SUMMARY FILE
@@ -531,6 +850,7 @@ async function main() {
   const summaryData = {
     lastUpdated: new Date().toISOString(),
     dataSource: 'Moralis',
+    providers: providers.providerReport(),
     
     wallet1: {
       address: WALLET1,
@@ -566,13 +886,18 @@ async function main() {
       wallet1Txns: 'treasury-wallet1-txns.json',
       wallet2Txns: 'treasury-wallet2-txns.json',
       wallet1Tokens: 'treasury-wallet1-tokens.json',
-      wallet2Tokens: 'treasury-wallet2-tokens.json'
+      wallet2Tokens: 'treasury-wallet2-tokens.json',
+      prices: 'treasury-prices.json',
+      ledger: 'treasury-ledger.json',
+      months: 'treasury-months.json',
+      balances: 'treasury-balances.json'
     }
   };
   
   const summaryPath = path.join(dataDir, 'treasury-summary.json');
-  fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2));
-  console.log(`  Written: ${summaryPath}`);
+  if (writeValidated(summaryPath, summaryData, 'treasury-summary', 2)) {
+    console.log(`  Written: ${summaryPath}`);
+  }
   
   // ============================================
   // PRINT SUMMARY
@@ -607,6 +932,10 @@ async function main() {
   console.log('  - treasury-wallet2-txns.json');
   console.log('  - treasury-wallet1-tokens.json');
   console.log('  - treasury-wallet2-tokens.json');
+  console.log('  - treasury-prices.json');
+  console.log('  - treasury-ledger.json');
+  console.log('  - treasury-months.json + treasury-months/YYYY-MM.json');
+  console.log('  - treasury-balances.json');
   console.log('  - treasury-summary.json');
   console.log('Completed:', new Date().toISOString());
   console.log('='.repeat(60));
@@ -0,0 +1,115 @@
+/**
+ * Anomaly Guard
+ *
+ * A failed API call tends to come back as 0 or null (no holders, no price, no volume), and one such
+ * point in a history file skews every change computed across it. Collectors pass each fresh reading
+ * through check() together with the last stored record for the same series. Stored records are
+ * always good or carried values, so the last one is the last good value.
+ *
+ * A reading that breaks its metric's rule is quarantined: the collector stores the last good value
+ * again, flags the record with `quarantined: { metric: reason }` and appends the raw reading to the
+ * file's `quarantine` log (newest first) instead of the series.
+ *
+ * Rules (RULES):
+ * - zero or missing after a non-zero value - treated as a failed fetch, never accepted
+ * - maxDropPct - a fall of more than this % of the last good value (holder counts only ever drift)
+ * - maxRatio - a move of more than this factor either way
+ * A threshold breach that persists for CONFIRM_RUNS consecutive runs is accepted as the new level
+ * (a migration, a delisted pool) so a real change is never carried forward forever.
+ */
+
+const RULES = {
+  price: { nonZero: true },
+  holders: { nonZero: true, maxDropPct: 5 },
+  liquidity: { nonZero: true, maxRatio: 10 },
+  tokensInLP: { nonZero: true, maxRatio: 10 },
+  volume: { nonZero: true },
+  txns: { nonZero: true }
+};
+
+const CONFIRM_RUNS = 3;
+const MAX_LOG_ENTRIES = 200;
+
+const fmt = n => {
+  if (typeof n !== 'number') return String(n);
+  return Math.abs(n) >= 1000 ? Math.round(n).toLocaleString('en-US') : String(Number(n.toPrecision(6)));
+};
+
+/**
+ * Reason a reading breaks its rule, or null. `threshold` tells confirmable breaches from zeros.
+ */
+function findAnomaly(metric, value, lastGood) {
+  const rule = RULES[metric];
+  if (!rule) throw new Error(`No anomaly rule for metric "${metric}"`);
+  if (typeof lastGood !== 'number' || !(lastGood > 0)) return null;  // nothing to compare with
+
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return { reason: `no value (last good ${fmt(lastGood)})`, threshold: false };
+  }
+  if (rule.nonZero && value === 0) {
+    return { reason: `0 after ${fmt(lastGood)} - treated as a failed fetch`, threshold: false };
+  }
+  if (rule.maxDropPct !== undefined) {
+    const dropPct = (lastGood - value) / lastGood * 100;
+    if (dropPct > rule.maxDropPct) {
+      return { reason: `dropped ${dropPct.toFixed(1)}% (${fmt(lastGood)} -> ${fmt(value)}), limit ${rule.maxDropPct}%`, threshold: true };
+    }
+  }
+  if (rule.maxRatio !== undefined && value > 0) {
+    const ratio = Math.max(value / lastGood, lastGood / value);
+    if (ratio > rule.maxRatio) {
+      return { reason: `moved ${ratio.toFixed(1)}x (${fmt(lastGood)} -> ${fmt(value)}), limit ${rule.maxRatio}x`, threshold: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Guard for one collector run. `previousLog` is the `quarantine` array from the file being updated.
+ */
+function createGuard(previousLog = []) {
+  const runAt = new Date().toISOString();
+  const entries = [];
+
+  /**
+   * Check the readings in `current` ({ metric: value }, metrics from RULES) for series `label`
+   * against `lastGood`, the last stored record (its own `quarantined` flags included).
+   * Returns { values, quarantined } - values with quarantined metrics replaced by the last good
+   * value, and the { metric: reason } flags to store with the record (null when nothing was held back).
+   */
+  const check = (label, current, lastGood) => {
+    const values = { ...current };
+    const quarantined = {};
+
+    for (const [metric, value] of Object.entries(current)) {
+      const anomaly = findAnomaly(metric, value, lastGood?.[metric]);
+      if (!anomaly) continue;
+
+      // Consecutive runs this series has held the metric back, counting this one
+      const previous = previousLog.find(e => e.label === label && e.metric === metric);
+      const streak = lastGood.quarantined?.[metric] && previous ? (previous.streak || 1) + 1 : 1;
+      if (anomaly.threshold && streak >= CONFIRM_RUNS) {
+        console.log(`  [guard] ${label} ${metric}: ${anomaly.reason} - seen ${streak} runs in a row, accepted as the new level`);
+        continue;
+      }
+
+      console.log(`  [guard] ${label} ${metric}: QUARANTINED ${anomaly.reason} - keeping ${fmt(lastGood[metric])}`);
+      values[metric] = lastGood[metric];
+      quarantined[metric] = anomaly.reason;
+      entries.push({ timestamp: runAt, label, metric, value: value ?? null, lastGood: lastGood[metric], reason: anomaly.reason, streak });
+    }
+
+    return { values, quarantined: Object.keys(quarantined).length > 0 ? quarantined : null };
+  };
+
+  // This run's entries ahead of the earlier ones, capped
+  const log = () => [...entries, ...previousLog].slice(0, MAX_LOG_ENTRIES);
+
+  return { check, log };
+}
+
+module.exports = {
+  RULES,
+  CONFIRM_RUNS,
+  createGuard
+};
@@ -0,0 +1,207 @@
+/**
+ * Data Contracts
+ *
+ * The dashboard pages read the collectors' JSON files as-is, so a collector must not publish a file
+ * the pages can't use. Every published file has a JSON Schema in data/schemas/ (draft-07 keywords,
+ * shared definitions in common.schema.json). The schema pins the file's schemaVersion with a
+ * `const`; bump it whenever a change would break a reader, and bump the matching entry in the
+ * pages' DATA_CONTRACTS so they flag files they don't understand.
+ *
+ * writeValidated() stamps schemaVersion, validates, and only then writes. A file that fails is not
+ * written at all, so the last good file stays in place and the pages show it as stale instead of
+ * rendering broken or zeroed numbers.
+ *
+ * Supported keywords: $ref (within a schema or to another file in data/schemas/), type, const,
+ * enum, anyOf, required, properties, additionalProperties, items (schema or tuple), minItems,
+ * minimum, pattern. Plus one extension:
+ * - x-notAllZero: JSON pointers into the data (`*` matches every key or item, `-1` the last
+ *   item). A pointer fails when every number under it is 0 or null - the shape of an upstream
+ *   outage rather than of real data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'data', 'schemas');
+const schemaCache = new Map();
+
+function loadSchema(file) {
+  if (!schemaCache.has(file)) {
+    schemaCache.set(file, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+  }
+  return schemaCache.get(file);
+}
+
+/**
+ * Schema version a file written under `name` carries (the schemaVersion const)
+ */
+function schemaVersion(name) {
+  return loadSchema(`${name}.schema.json`).properties.schemaVersion.const;
+}
+
+// "#/definitions/x" resolves in the current schema file, "other.schema.json#/..." in that file
+function resolveRef(ref, file) {
+  const [refFile, pointer = ''] = ref.split('#');
+  const targetFile = refFile || file;
+  let schema = loadSchema(targetFile);
+  for (const key of pointer.split('/').slice(1)) {
+    schema = schema?.[key];
+  }
+  if (!schema) throw new Error(`Unresolvable $ref ${ref} in ${file}`);
+  return { schema, file: targetFile };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    // NaN and Infinity would be written as null
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeOf(value) === type;
+  }
+}
+
+/**
+ * Check `value` against `schema`, pushing "pointer: problem" strings onto errors
+ */
+function check(schema, value, at, file, errors) {
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, file);
+    return check(target.schema, value, at, target.file, errors);
+  }
+  const where = at || '(root)';
+
+  if (schema.anyOf && !schema.anyOf.some(option => {
+    const optionErrors = [];
+    check(option, value, at, file, optionErrors);
+    return optionErrors.length === 0;
+  })) {
+    errors.push(`${where}: matches none of the allowed shapes`);
+    return;
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: ${value} is below the minimum of ${schema.minimum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where}: "${value.slice(0, 40)}" does not match ${schema.pattern}`);
+  }
+
+  if (typeOf(value) === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: ${value.length} items, at least ${schema.minItems} required`);
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) check(itemSchema, value[i], `${at}/${i}`, file, errors);
+      });
+    } else if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${at}/${i}`, file, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    // JSON.stringify drops undefined, so an undefined key is a missing key
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}/${key}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        check(propertySchema, child, `${at}/${key}`, file, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}/${key}: not allowed`);
+      } else if (schema.additionalProperties) {
+        check(schema.additionalProperties, child, `${at}/${key}`, file, errors);
+      }
+    }
+  }
+}
+
+// Every value a pointer reaches - `*` fans out over keys/items, `-1` is the last item
+function resolvePointer(data, pointer) {
+  let values = [data];
+  for (const key of pointer.split('/').slice(1)) {
+    values = values.flatMap(value => {
+      if (value === null || typeof value !== 'object') return [];
+      if (key === '*') return Object.values(value);
+      if (key === '-1' && Array.isArray(value)) return value.length ? [value[value.length - 1]] : [];
+      return value[key] === undefined ? [] : [value[key]];
+    });
+  }
+  return values;
+}
+
+function collectNumbers(value, out) {
+  if (value === null || typeof value === 'number') out.push(value);
+  else if (typeof value === 'object') Object.values(value).forEach(child => collectNumbers(child, out));
+  return out;
+}
+
+/**
+ * Validate data against data/schemas/<name>.schema.json. Returns a list of problems (empty = valid).
+ */
+function validate(name, data) {
+  const file = `${name}.schema.json`;
+  const schema = loadSchema(file);
+  const errors = [];
+  check(schema, data, '', file, errors);
+
+  for (const pointer of schema['x-notAllZero'] || []) {
+    const numbers = resolvePointer(data, pointer).flatMap(value => collectNumbers(value, []));
+    if (numbers.length > 0 && numbers.every(n => !n)) {
+      errors.push(`${pointer}: every value is zero`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Stamp schemaVersion, validate and write. A file that fails validation is not written, so the
+ * existing file is kept. Returns true when the file was written.
+ */
+function writeValidated(filePath, data, name, space) {
+  const { schemaVersion: _previous, ...rest } = data;
+  const stamped = { schemaVersion: schemaVersion(name), ...rest };
+  const errors = validate(name, stamped);
+
+  if (errors.length > 0) {
+    const kept = fs.existsSync(filePath) ? 'keeping the existing file' : 'nothing written';
+    console.error(`  REFUSED: ${path.basename(filePath)} fails ${name}.schema.json - ${kept}`);
+    errors.slice(0, 10).forEach(error => console.error(`    ${error}`));
+    if (errors.length > 10) console.error(`    ... and ${errors.length - 10} more`);
+    return false;
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(stamped, null, space));
+  return true;
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  schemaVersion,
+  validate,
+  writeValidated
+};
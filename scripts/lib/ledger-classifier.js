@@ -0,0 +1,587 @@
+/**
+ * DAO Treasury Ledger Classifier
+ *
+ * Turns raw wallet activity (normal transactions with their internal transactions, plus token
+ * transfers - the shapes stored in treasury-wallet*-txns.json / treasury-wallet*-tokens.json)
+ * into ledger rows: LP adds/removes, burns, PTGC buys, swaps, transfers and inflows.
+ *
+ * Shared by ledger.html (loaded as a plain script, exposes window.LedgerClassifier) and
+ * fetch-treasury-transactions.js (require), so the page and the stored ledger classify the same way.
+ * Pure - no fetches, no DOM, no logging. Everything it needs comes from data/config.json.
+ *
+ * Row shape:
+ *   { hash, timeStamp (unix seconds), type, icon, description, details: [{ label, value, fullValue? }],
+ *     value (PLS), amount, amountSymbol, usd, usdMissing, gasUsed (PLS), status, to, from,
+ *     isWallet2, direction ('out' | 'in'), counterparty, counterpartyAddress }
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LedgerClassifier = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // Router function selectors - used when the API gives no function name
+  const FUNCTION_SELECTORS = {
+    'e8e33700': 'addLiquidity',
+    'f305d719': 'addLiquidityETH',
+    '095ea7b3': 'approve',
+    '38ed1739': 'swapExactTokensForTokens',
+    '7ff36ab5': 'swapExactETHForTokens',
+    '18cbafe5': 'swapExactTokensForETH',
+    '8803dbee': 'swapTokensForExactTokens',
+    'fb3bdb41': 'swapETHForExactTokens',
+    '4a25d94a': 'swapTokensForExactETH',
+    '5c11d795': 'swapExactTokensForTokensSupportingFeeOnTransferTokens',
+    'b6f9de95': 'swapExactETHForTokensSupportingFeeOnTransferTokens',
+    '791ac947': 'swapExactTokensForETHSupportingFeeOnTransferTokens',
+    'baa2abde': 'removeLiquidity',
+    '02751cec': 'removeLiquidityETH',
+    'af2979eb': 'removeLiquidityETHSupportingFeeOnTransferTokens',
+    'ded9382a': 'removeLiquidityETHWithPermit',
+    '5b0d5984': 'removeLiquidityETHWithPermitSupportingFeeOnTransferTokens',
+    '2195995c': 'removeLiquidityWithPermit',
+    'a9059cbb': 'transfer',
+    '23b872dd': 'transferFrom'
+  };
+  const SWAP_SELECTORS = ['38ed1739', '7ff36ab5', '18cbafe5', '8803dbee', 'fb3bdb41', '4a25d94a', '5c11d795', 'b6f9de95', '791ac947'];
+
+  // Inflow types (transactions into the DAO wallets that the DAO did not send)
+  const INFLOW_TYPES = ['tax_revenue', 'dao_disbursement', 'donation', 'transfer_in'];
+
+  // Wallet 2 only shows these - its other activity is routine management
+  const WALLET2_TYPES = ['ptgc_buy', 'burn', 'lp_add', 'lp_remove'];
+
+  // Format number with abbreviations
+  const fmtAbbr = n => {
+    if (n == null || isNaN(n)) return '—';
+    const num = Number(n);
+    if (num >= 1e12) return (num / 1e12).toFixed(2) + 'T';
+    if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
+    if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
+    if (num >= 1e3) return (num / 1e3).toFixed(2) + 'K';
+    if (num >= 1) return num.toFixed(2);
+    if (num >= 0.01) return num.toFixed(4);
+    if (num >= 0.0001) return num.toFixed(6);
+    if (num > 0) return num.toExponential(2);
+    return '0';
+  };
+
+  const isSuccessful = tx => tx.txreceipt_status === '1' || tx.isError === '0';
+
+  const isLPToken = t => {
+    const sym = (t.tokenSymbol || '').toUpperCase();
+    const name = (t.tokenName || '').toLowerCase();
+    return sym.includes('LP') || sym.includes('PLP') || sym.includes('UNI-V2') ||
+           name.includes('liquidity') || name.includes('lp token') || name.includes('pulsex');
+  };
+
+  // Token symbol - prioritize API data over known tokens
+  const getTokenSymbol = (t, knownTokens) => {
+    if (t.tokenSymbol && t.tokenSymbol !== 'Unknown' && t.tokenSymbol.length > 0) {
+      return t.tokenSymbol;
+    }
+    return knownTokens[t.contractAddress?.toLowerCase()]?.symbol || 'Unknown';
+  };
+
+  const getTokenDecimals = (t, knownTokens) => {
+    if (t.tokenDecimal && Number(t.tokenDecimal) > 0) {
+      return Number(t.tokenDecimal);
+    }
+    return knownTokens[t.contractAddress?.toLowerCase()]?.decimals || 18;
+  };
+
+  // Historical USD price (daily, from treasury-prices.json) for a token at a unix timestamp.
+  // Native PLS is priced through WPLS. Returns null when the collector has no price for that day yet.
+  const getHistoricalPrice = (prices, tokenAddress, timeStamp) => {
+    const day = new Date(Number(timeStamp) * 1000).toISOString().split('T')[0];
+    const price = prices?.[day]?.[tokenAddress.toLowerCase()];
+    return price == null ? null : price;
+  };
+
+  // Address book from the config: known tokens, routers, each token's LP pairs, DAO and staking
+  // contracts, the treasury wallets and burn address, then the maintained `addressBook` entries
+  // (team wallets, tax sources, extra routers) which win over the derived ones.
+  // Kinds: token, tax, router, lp, dao, staking, treasury, team, burn, mint
+  const buildAddressBook = config => {
+    const book = {};
+    const add = (addr, name, kind) => { if (addr) book[addr.toLowerCase()] = { name, kind }; };
+    Object.entries(config.knownTokens).forEach(([addr, t]) => add(addr, t.symbol, 'token'));
+    Object.entries(config.routers).forEach(([addr, name]) => add(addr, name, 'router'));
+    Object.entries(config.tokens).forEach(([sym, t]) => {
+      // Tax is swapped and forwarded by the token contract itself
+      add(t.address, `${sym} Token (tax)`, 'tax');
+      add(t.mainPair, `${sym} Main LP`, 'lp');
+      (t.hardcodedPairs || []).forEach(pair => add(pair.address, `${sym}/${pair.quoteSymbol} LP`, 'lp'));
+      add(t.daoContract, `${sym} DAO Contract`, 'dao');
+      add(t.stakingContract, `${sym} Staking`, 'staking');
+    });
+    config.treasuryWallets.forEach((w, i) => add(w, `DAO Wallet ${i + 1}`, 'treasury'));
+    add(config.burnAddress, 'Burn Address', 'burn');
+    Object.entries(config.addressBook || {}).forEach(([addr, e]) => add(addr, e.name, e.kind));
+    return book;
+  };
+
+  /**
+   * Classifier bound to one config. classifyRange(transactions, tokenTxns, prices, startTs, endTs)
+   * returns the rows between two unix timestamps (inclusive), newest first.
+   */
+  const createClassifier = config => {
+    const KNOWN_TOKENS = config.knownTokens;
+    const ADDRESS_BOOK = buildAddressBook(config);
+    const DEAD_ADDRESS = config.burnAddress.toLowerCase();
+    const PTGC_ADDRESS = config.tokens.PTGC.address.toLowerCase();
+    const WPLS_ADDRESS = config.rhCores.WPLS.toLowerCase();
+    const DAO_WALLETS = config.treasuryWallets.map(w => w.toLowerCase());
+    const WALLET2 = DAO_WALLETS[1];
+
+    const symbolOf = t => getTokenSymbol(t, KNOWN_TOKENS);
+    const decimalsOf = t => getTokenDecimals(t, KNOWN_TOKENS);
+
+    // Address book name, or a shortened address for unknown counterparties
+    const getAddressLabel = addr => {
+      if (!addr) return '';
+      const entry = ADDRESS_BOOK[addr.toLowerCase()];
+      return entry ? entry.name : `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+    };
+
+    // Sum transfers by token contract, in first-seen order
+    const sumByToken = list => {
+      const map = new Map();
+      list.forEach(t => {
+        const addr = t.contractAddress?.toLowerCase() || '';
+        const amt = Number(t.value || 0) / Math.pow(10, decimalsOf(t));
+        if (map.has(addr)) map.get(addr).amt += amt;
+        else map.set(addr, { sym: symbolOf(t), amt, addr });
+      });
+      return map;
+    };
+
+    const joinAmounts = tokens => tokens.map(t => `${fmtAbbr(t.amt)} ${t.sym}`).join(' + ');
+
+    // Known-token symbol/decimals first - used where the API symbol has been unreliable (burns, sends)
+    const knownSymbol = (t, fallback) => KNOWN_TOKENS[t.contractAddress.toLowerCase()]?.symbol || t.tokenSymbol || fallback;
+    const knownDecimals = t => KNOWN_TOKENS[t.contractAddress.toLowerCase()]?.decimals || Number(t.tokenDecimal) || 18;
+
+    // USD value at transaction time of PLS + token transfers; missing = some part had no price
+    const toUSD = (prices, tokenList, timeStamp, pls = 0) => {
+      let usd = 0;
+      let missing = false;
+      const add = (addr, amt) => {
+        if (!(amt > 0)) return;
+        const price = getHistoricalPrice(prices, addr, timeStamp);
+        if (price == null) missing = true;
+        else usd += amt * price;
+      };
+      add(WPLS_ADDRESS, pls);
+      tokenList.forEach(t => add(t.contractAddress, Number(t.value) / Math.pow(10, decimalsOf(t))));
+      return { usd, missing };
+    };
+
+    const decodeFunction = tx => {
+      const inputData = (tx.input || '').toLowerCase();
+      const selector = inputData.startsWith('0x') ? inputData.slice(2, 10) : inputData.slice(0, 8);
+      const decodedFnName = FUNCTION_SELECTORS[selector] || '';
+      const fnName = (tx.functionName || tx.method_label || decodedFnName || '').toLowerCase();
+      return {
+        selector,
+        decodedFnName,
+        fnName,
+        isAddLiquidity: fnName.includes('addliquidity') || selector === 'e8e33700' || selector === 'f305d719',
+        isRemoveLiquidity: fnName.includes('removeliquidity') || selector.startsWith('baa2abde') || selector.startsWith('02751cec'),
+        isApprove: fnName.includes('approve') || selector === '095ea7b3',
+        isSwap: fnName.includes('swap') || SWAP_SELECTORS.includes(selector)
+      };
+    };
+
+    const describeLPAdd = (value, tokensOut, tokensIn, lpTokenReceived, matchPLSOnly) => {
+      // Non-LP tokens sent out (excluding any that went to the dead address as fees)
+      const tokens = Array.from(sumByToken(tokensOut.filter(t => t.to?.toLowerCase() !== DEAD_ADDRESS && !isLPToken(t))).values());
+      const tokenStr = joinAmounts(tokens);
+      const row = { type: 'lp_add', icon: '💧', amount: 0, amountSymbol: '' };
+
+      if (value > 0 && tokens.length > 0) {
+        row.description = `Added LP: ${fmtAbbr(value)} PLS + ${tokenStr}`;
+        row.amount = value;
+        row.amountSymbol = 'PLS';
+      } else if (value > 0 && matchPLSOnly) {
+        // addLiquidityETH with PLS only - the other side shows up in tokensIn
+        const otherToken = tokensIn.find(t => !isLPToken(t));
+        row.description = otherToken
+          ? `Added LP: ${fmtAbbr(value)} PLS + ${fmtAbbr(Number(otherToken.value) / Math.pow(10, decimalsOf(otherToken)))} ${otherToken.tokenSymbol || KNOWN_TOKENS[otherToken.contractAddress?.toLowerCase()]?.symbol || 'Token'}`
+          : `Added LP: ${fmtAbbr(value)} PLS + tokens`;
+        row.amount = value;
+        row.amountSymbol = 'PLS';
+      } else if (tokens.length > 0) {
+        row.description = `Added LP: ${tokenStr}`;
+        row.amount = tokens[0].amt;
+        row.amountSymbol = tokens[0].sym;
+      } else if (value > 0) {
+        row.description = `Added LP: ${fmtAbbr(value)} PLS + tokens`;
+        row.amount = value;
+        row.amountSymbol = 'PLS';
+      } else {
+        row.description = 'Added Liquidity';
+      }
+
+      row.details = [];
+      if (value > 0) row.details.push({ label: 'PLS', value: fmtAbbr(value) });
+      tokens.forEach(t => row.details.push({ label: t.sym, value: fmtAbbr(t.amt) }));
+      if (lpTokenReceived) row.details.push({ label: 'LP Token', value: lpTokenReceived.tokenSymbol || 'LP' });
+      return row;
+    };
+
+    const describeLPRemove = (tokensIn, lpTokenSent) => {
+      const received = tokensIn.filter(t => !isLPToken(t)).map(t => ({
+        sym: t.tokenSymbol || 'Unknown',
+        amt: Number(t.value) / Math.pow(10, Number(t.tokenDecimal) || 18)
+      }));
+      const row = { type: 'lp_remove', icon: '💧', description: `Removed LP → ${joinAmounts(received) || 'tokens'}`, amount: 0, amountSymbol: '', details: [] };
+      if (lpTokenSent) {
+        const lpAmt = Number(lpTokenSent.value) / Math.pow(10, Number(lpTokenSent.tokenDecimal) || 18);
+        row.amount = lpAmt;
+        row.amountSymbol = lpTokenSent.tokenSymbol || 'LP';
+        row.details.push({ label: 'LP Burned', value: `${fmtAbbr(lpAmt)} ${lpTokenSent.tokenSymbol || 'LP'}` });
+      }
+      received.forEach(t => row.details.push({ label: 'Received', value: `${fmtAbbr(t.amt)} ${t.sym}` }));
+      return row;
+    };
+
+    const describeBurn = (burn, sym, dec) => {
+      const amt = Number(burn.value) / Math.pow(10, dec);
+      return {
+        type: 'burn',
+        icon: '🔥',
+        amount: amt,
+        amountSymbol: sym,
+        description: `Burned ${fmtAbbr(amt)} ${sym}`,
+        details: [
+          { label: 'Amount', value: `${fmtAbbr(amt)} ${sym}` },
+          { label: 'To', value: '🔥 Dead Address' }
+        ]
+      };
+    };
+
+    const describePTGCBuy = (inAmt, spentStr) => ({
+      type: 'ptgc_buy',
+      icon: '💰',
+      amount: inAmt,
+      amountSymbol: 'PTGC',
+      description: `Bought ${fmtAbbr(inAmt)} PTGC`,
+      details: [
+        { label: 'Spent', value: spentStr },
+        { label: 'Received', value: `${fmtAbbr(inAmt)} PTGC` }
+      ]
+    });
+
+    /**
+     * Classify one outgoing transaction by its function and the token transfers in the same hash.
+     * Order matters: explicit LP calls, burns, LP-token patterns, PTGC buys, swaps, then plain sends.
+     * Returns null for rows the ledger skips (approvals, wallet 2 housekeeping).
+     */
+    const classifyOutgoing = (tx, relatedTokenTx, prices) => {
+      const toAddr = tx.to?.toLowerCase() || '';
+      const fromAddr = tx.from.toLowerCase();
+      const value = Number(tx.value) / 1e18;
+      const isWallet2 = fromAddr === WALLET2;
+
+      const tokensOut = relatedTokenTx.filter(t => DAO_WALLETS.includes(t.from.toLowerCase()));
+      const tokensIn = relatedTokenTx.filter(t => DAO_WALLETS.includes(t.to.toLowerCase()));
+      const ptgcBurn = tokensOut.find(t => t.contractAddress.toLowerCase() === PTGC_ADDRESS && t.to.toLowerCase() === DEAD_ADDRESS);
+      const anyBurn = tokensOut.find(t => t.to.toLowerCase() === DEAD_ADDRESS);
+      const ptgcReceived = tokensIn.find(t => t.contractAddress.toLowerCase() === PTGC_ADDRESS);
+      // LP token received indicates an LP add, LP token sent an LP remove
+      const lpTokenReceived = tokensIn.find(isLPToken);
+      const lpTokenSent = tokensOut.find(isLPToken);
+      const fn = decodeFunction(tx);
+
+      if (fn.isApprove) return null;
+
+      let row;
+      // 1. LP ADD (by function selector - highest priority)
+      if (fn.isAddLiquidity) {
+        row = describeLPAdd(value, tokensOut, tokensIn, lpTokenReceived, false);
+      }
+      // 2. LP REMOVE (by function selector)
+      else if (fn.isRemoveLiquidity) {
+        row = describeLPRemove(tokensIn, lpTokenSent);
+      }
+      // 3. BURN
+      else if (ptgcBurn) {
+        row = describeBurn(ptgcBurn, 'PTGC', 18);
+      } else if (anyBurn) {
+        row = describeBurn(anyBurn, knownSymbol(anyBurn, 'Token'), knownDecimals(anyBurn));
+      }
+      // 4. LP REMOVE (backup - sent LP, received other tokens)
+      else if (lpTokenSent && tokensIn.length > 0) {
+        row = describeLPRemove(tokensIn, lpTokenSent);
+      }
+      // 5. PTGC BUY
+      else if (ptgcReceived && (tokensOut.length > 0 || value > 0)) {
+        const inAmt = Number(ptgcReceived.value) / 1e18;
+        const outToken = tokensOut[0];
+        row = describePTGCBuy(inAmt, outToken
+          ? `${fmtAbbr(Number(outToken.value) / Math.pow(10, knownDecimals(outToken)))} ${knownSymbol(outToken, 'Unknown')}`
+          : `${fmtAbbr(value)} PLS`);
+      }
+      // 6. LP ADD (backup - LP token received or multiple tokens out)
+      else if (lpTokenReceived || tokensOut.length >= 2) {
+        row = describeLPAdd(value, tokensOut, tokensIn, lpTokenReceived, true);
+      }
+      // 7. SWAP (tokens out and tokens in)
+      else if (tokensOut.length > 0 && tokensIn.length > 0) {
+        const sentTokens = Array.from(sumByToken(tokensOut).values());
+        const sentStr = joinAmounts(sentTokens);
+        const receivedStr = joinAmounts(Array.from(sumByToken(tokensIn).values()));
+        row = {
+          type: 'swap',
+          icon: '🔄',
+          amount: sentTokens[0].amt,
+          amountSymbol: sentTokens[0].sym,
+          description: `Swapped ${sentStr} → ${receivedStr}`,
+          details: [
+            { label: 'Sent', value: sentStr },
+            { label: 'Received', value: receivedStr }
+          ]
+        };
+      }
+      // 8. SWAP/BUY with PLS (sent PLS, received tokens)
+      else if (value > 0 && tokensIn.length > 0) {
+        const receivedTokens = Array.from(sumByToken(tokensIn).values());
+        const mainToken = receivedTokens[0];
+        if (mainToken.addr === PTGC_ADDRESS) {
+          row = describePTGCBuy(mainToken.amt, `${fmtAbbr(value)} PLS`);
+        } else {
+          const receivedStr = joinAmounts(receivedTokens);
+          row = {
+            type: 'swap',
+            icon: '🔄',
+            amount: value,
+            amountSymbol: 'PLS',
+            description: `Swapped ${fmtAbbr(value)} PLS → ${receivedStr}`,
+            details: [
+              { label: 'Sent', value: `${fmtAbbr(value)} PLS` },
+              { label: 'Received', value: receivedStr }
+            ]
+          };
+        }
+      }
+      // 9. TRANSFER
+      else if (tokensOut.length > 0) {
+        const token = tokensOut[0];
+        const sym = knownSymbol(token, 'Unknown');
+        const amt = Number(token.value) / Math.pow(10, knownDecimals(token));
+        row = {
+          type: 'transfer',
+          icon: '📤',
+          amount: amt,
+          amountSymbol: sym,
+          description: `Sent ${fmtAbbr(amt)} ${sym}`,
+          details: [
+            { label: 'Amount', value: `${fmtAbbr(amt)} ${sym}` },
+            { label: 'To', value: getAddressLabel(token.to), fullValue: token.to }
+          ]
+        };
+      } else if (value > 0) {
+        row = {
+          type: 'transfer',
+          icon: '📤',
+          amount: value,
+          amountSymbol: 'PLS',
+          description: `Sent ${fmtAbbr(value)} PLS`,
+          details: [
+            { label: 'Amount', value: `${fmtAbbr(value)} PLS` },
+            { label: 'To', value: getAddressLabel(toAddr), fullValue: toAddr }
+          ]
+        };
+      }
+      // 10. Nothing moved - fall back to the function name
+      else {
+        if (fn.isSwap) row = { type: 'swap', icon: '🔄', description: 'Swap' };
+        else row = { type: 'transfer', icon: '📝', description: fn.fnName || fn.decodedFnName || 'Contract Interaction' };
+        row.amount = 0;
+        row.amountSymbol = '';
+        row.details = [{ label: 'Contract', value: getAddressLabel(toAddr), fullValue: toAddr }];
+      }
+
+      if (isWallet2 && !WALLET2_TYPES.includes(row.type)) return null;
+
+      // Valued by what left the wallet, except LP removes which are valued by what came back
+      const plsReturned = (tx.internal_transactions || [])
+        .filter(i => DAO_WALLETS.includes(i.to?.toLowerCase()))
+        .reduce((sum, i) => sum + Number(i.value || 0) / 1e18, 0);
+      const valuation = row.type === 'lp_remove'
+        ? toUSD(prices, tokensIn.filter(t => !isLPToken(t)), tx.timeStamp, plsReturned)
+        : toUSD(prices, tokensOut.filter(t => !isLPToken(t)), tx.timeStamp, value);
+
+      // Counterparty - the token recipient for token transfers, otherwise the contract/wallet called
+      const counterpartyAddress = row.type === 'transfer' && tokensOut.length > 0 ? tokensOut[0].to.toLowerCase() : toAddr;
+
+      return {
+        hash: tx.hash,
+        timeStamp: Number(tx.timeStamp),
+        type: row.type,
+        icon: row.icon,
+        description: row.description,
+        details: row.details,
+        value,
+        amount: row.amount,
+        amountSymbol: row.amountSymbol,
+        usd: valuation.usd,
+        usdMissing: valuation.missing,
+        gasUsed: Number(tx.gasUsed || 0) * Number(tx.gasPrice || 0) / 1e18,
+        status: 'success',
+        to: toAddr,
+        from: fromAddr,
+        isWallet2,
+        direction: 'out',
+        counterparty: ADDRESS_BOOK[counterpartyAddress]?.name || null,
+        counterpartyAddress
+      };
+    };
+
+    /**
+     * Classify one grouped inflow ({ hash, timeStamp, to, from, pls, tokens }) by its sender
+     */
+    const classifyInflow = (inf, prices) => {
+      const sender = ADDRESS_BOOK[inf.from];
+      const receivedMap = sumByToken(inf.tokens);
+      const received = [
+        ...(inf.pls > 0 ? [{ sym: 'PLS', amt: inf.pls, addr: WPLS_ADDRESS }] : []),
+        ...Array.from(receivedMap.values())
+      ];
+      if (received.length === 0) return null;
+      const receivedStr = joinAmounts(received);
+
+      // Never a buyback, whatever arrived - the DAO spent nothing in a transaction it did not send
+      let type, icon, description;
+      if (sender?.kind === 'dao') {
+        type = 'dao_disbursement';
+        icon = '🏛️';
+        description = `DAO disbursement: ${receivedStr}`;
+      } else if (sender?.kind === 'tax') {
+        type = 'tax_revenue';
+        icon = '🧾';
+        description = `Tax revenue: ${receivedStr}`;
+      } else if (!sender) {
+        type = 'donation';
+        icon = '🎁';
+        description = `Received ${receivedStr}`;
+      } else {
+        type = 'transfer_in';
+        icon = '📥';
+        description = `Received ${receivedStr} from ${sender.name}`;
+      }
+
+      const main = received[0];
+      const valuation = toUSD(prices, inf.tokens, inf.timeStamp, inf.pls);
+      return {
+        hash: inf.hash,
+        timeStamp: Number(inf.timeStamp),
+        type,
+        icon,
+        description,
+        details: [
+          ...received.map(t => ({ label: 'Amount', value: `${fmtAbbr(t.amt)} ${t.sym}` })),
+          { label: 'From', value: getAddressLabel(inf.from), fullValue: inf.from }
+        ],
+        value: inf.pls,
+        amount: main.amt,
+        amountSymbol: main.sym,
+        usd: valuation.usd,
+        usdMissing: valuation.missing,
+        gasUsed: 0,
+        status: 'success',
+        to: inf.to,
+        from: inf.from,
+        isWallet2: inf.to === WALLET2,
+        direction: 'in',
+        counterparty: sender?.name || null,
+        counterpartyAddress: inf.from
+      };
+    };
+
+    const classifyRange = (transactions, tokenTxns, prices, startTs, endTs) => {
+      const inRange = t => Number(t.timeStamp) >= startTs && Number(t.timeStamp) <= endTs;
+
+      const tokenTxMap = new Map();
+      tokenTxns.forEach(ttx => {
+        const hash = ttx.hash.toLowerCase();
+        if (!tokenTxMap.has(hash)) tokenTxMap.set(hash, []);
+        tokenTxMap.get(hash).push(ttx);
+      });
+
+      const processed = [];
+      const seenHashes = new Set();
+
+      // Outgoing - successful transactions sent by one of the DAO wallets
+      transactions.forEach(tx => {
+        if (!DAO_WALLETS.includes(tx.from?.toLowerCase()) || !inRange(tx) || !isSuccessful(tx)) return;
+        const hash = tx.hash.toLowerCase();
+        if (seenHashes.has(hash)) return;
+        seenHashes.add(hash);
+        const row = classifyOutgoing(tx, tokenTxMap.get(hash) || [], prices);
+        if (row) processed.push(row);
+      });
+
+      // Incoming - PLS (direct or internal) and tokens the DAO wallets received in transactions
+      // they did not send, grouped per transaction hash
+      const inflows = new Map();
+      const addInflow = (hash, timeStamp, to, from) => {
+        if (!inflows.has(hash)) inflows.set(hash, { hash, timeStamp, to, from, pls: 0, tokens: [] });
+        return inflows.get(hash);
+      };
+      const seenIncoming = new Set();
+
+      transactions.forEach(tx => {
+        const hash = tx.hash.toLowerCase();
+        if (seenHashes.has(hash) || seenIncoming.has(hash)) return;
+        if (!inRange(tx) || !isSuccessful(tx)) return;
+        const fromAddr = tx.from?.toLowerCase();
+        const toAddr = tx.to?.toLowerCase() || '';
+        if (DAO_WALLETS.includes(fromAddr)) return;
+        seenIncoming.add(hash);
+
+        const value = Number(tx.value || 0) / 1e18;
+        if (DAO_WALLETS.includes(toAddr) && value > 0) addInflow(hash, tx.timeStamp, toAddr, fromAddr).pls += value;
+        (tx.internal_transactions || []).forEach(i => {
+          const iTo = i.to?.toLowerCase();
+          const iFrom = i.from?.toLowerCase();
+          const iValue = Number(i.value || 0) / 1e18;
+          if (DAO_WALLETS.includes(iTo) && !DAO_WALLETS.includes(iFrom) && iValue > 0) {
+            addInflow(hash, tx.timeStamp, iTo, iFrom).pls += iValue;
+          }
+        });
+      });
+
+      tokenTxns.forEach(ttx => {
+        const hash = ttx.hash.toLowerCase();
+        if (seenHashes.has(hash) || ttx.possible_spam || !inRange(ttx)) return;
+        const toAddr = ttx.to.toLowerCase();
+        const fromAddr = ttx.from.toLowerCase();
+        if (!DAO_WALLETS.includes(toAddr) || DAO_WALLETS.includes(fromAddr)) return;
+        addInflow(hash, ttx.timeStamp, toAddr, fromAddr).tokens.push(ttx);
+      });
+
+      inflows.forEach(inf => {
+        const row = classifyInflow(inf, prices);
+        if (row) processed.push(row);
+      });
+
+      return processed.sort((a, b) => b.timeStamp - a.timeStamp);
+    };
+
+    return { addressBook: ADDRESS_BOOK, getAddressLabel, classifyRange };
+  };
+
+  return {
+    FUNCTION_SELECTORS,
+    INFLOW_TYPES,
+    fmtAbbr,
+    isLPToken,
+    getTokenSymbol,
+    getTokenDecimals,
+    getHistoricalPrice,
+    buildAddressBook,
+    createClassifier
+  };
+});
@@ -0,0 +1,402 @@
+/**
+ * Data Providers
+ *
+ * One request path for every upstream API the collector scripts use. Each adapter in PROVIDERS
+ * declares its base URL, auth, timeout, retry count and rate budget, and request() applies them
+ * the same way for every script:
+ * - a timeout per attempt
+ * - retries with exponential backoff on network errors, timeouts, HTTP 429 and 5xx
+ *   (a 429 waits for Retry-After, or the provider's rateLimitWaitMs)
+ * - a rate budget: calls to one provider are spaced to stay under its perMinute limit
+ *
+ * Metrics that more than one provider can answer list the providers in METRIC_PRIORITY.
+ * fetchMetric() walks that order, so an outage of one provider falls through to the next instead
+ * of failing the run. Every call, failure and fallback is counted; collectors write
+ * providerReport() into their output file under `providers`.
+ *
+ * Record/replay (PROVIDER_MODE):
+ * - live (default) - requests go to the APIs
+ * - record - live, and every answer (including 4xx rejections) is saved as a fixture
+ * - replay - answers come only from the fixtures and nothing touches the network; a request
+ *   without a fixture fails like an outage would. Key variables still decide which providers are
+ *   tried, so set the same ones (any value) as the recording run had
+ * Fixtures live in PROVIDER_FIXTURES (default fixtures/ at the repo root), one file per request
+ * under <provider>/, keyed by method, path + query relative to the provider base URL and body.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SHARED_CONFIG = require('../../data/config.json');
+
+// PulseChain chain identifier for Moralis
+const MORALIS_CHAIN = '0x171';
+const WPLS_ADDRESS = SHARED_CONFIG.rhCores.WPLS;
+
+const PROVIDERS = {
+  dexscreener: {
+    baseUrl: 'https://api.dexscreener.com/latest/dex',
+    timeoutMs: 15000,
+    retries: 3,
+    perMinute: 240
+  },
+  moralis: {
+    baseUrl: 'https://deep-index.moralis.io/api/v2.2',
+    apiKeyEnv: 'MORALIS_API_KEY',
+    headers: key => ({ 'X-API-Key': key, 'Accept': 'application/json' }),
+    timeoutMs: 30000,
+    retries: 3,
+    perMinute: 300
+  },
+  coingecko: {
+    baseUrl: 'https://pro-api.coingecko.com/api/v3',
+    apiKeyEnv: 'COINGECKO_API_KEY',
+    headers: key => ({ 'x-cg-pro-api-key': key, 'Content-Type': 'application/json' }),
+    timeoutMs: 20000,
+    retries: 3,
+    perMinute: 200,
+    rateLimitWaitMs: 60000
+  },
+  pulsescan: {
+    baseUrl: 'https://api.scan.pulsechain.com/api/v2',
+    timeoutMs: 20000,
+    retries: 5,
+    perMinute: 240,
+    rateLimitWaitMs: 30000
+  },
+  rpc: {
+    // RPC_URL points every collector at another node (or a local stub)
+    baseUrl: process.env.RPC_URL || 'https://rpc.pulsechain.com',
+    timeoutMs: 30000,
+    retries: 3,
+    perMinute: 600
+  }
+};
+
+// Providers tried for each metric, first answer wins
+const METRIC_PRIORITY = {
+  plsPrice: ['dexscreener', 'moralis'],
+  tokenPrice: ['dexscreener', 'moralis'],
+  holders: ['pulsescan', 'moralis'],
+  nativeBalance: ['rpc', 'moralis'],
+  tokensInLP: ['dexscreener', 'moralis']
+};
+
+const BACKOFF_MS = 2000;
+
+const MODE = process.env.PROVIDER_MODE || 'live';
+if (!['live', 'record', 'replay'].includes(MODE)) throw new Error(`Unknown PROVIDER_MODE: ${MODE} (expected live, record or replay)`);
+const FIXTURES_DIR = process.env.PROVIDER_FIXTURES || path.join(__dirname, '..', '..', 'fixtures');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Per-run bookkeeping for providerReport(). failed = gave up after retries (an outage),
+// rejected = the API answered with a client error (404 for an unknown token and the like)
+const stats = Object.fromEntries(Object.keys(PROVIDERS).map(name => [name, { calls: 0, retries: 0, failed: 0, rejected: 0, lastError: null }]));
+const fallbacks = [];
+const nextSlot = {};
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Whether a provider can be called this run (its API key, if it needs one, is set)
+ */
+function isAvailable(name) {
+  const provider = getProvider(name);
+  return !provider.apiKeyEnv || !!process.env[provider.apiKeyEnv];
+}
+
+/**
+ * Fixture file for a request - the base URL is left out so RPC_URL and the like don't change it
+ */
+function fixturePath(name, method, url, bodyText) {
+  const base = getProvider(name).baseUrl;
+  const target = url.startsWith(base) ? url.slice(base.length) : url;
+  const key = crypto.createHash('sha1').update(`${method} ${target} ${bodyText || ''}`).digest('hex').slice(0, 20);
+  return path.join(FIXTURES_DIR, name, `${key}.json`);
+}
+
+function recordFixture(file, fixture) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+}
+
+const httpError = (status, text) => {
+  const error = new Error(`HTTP ${status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  error.status = status;
+  return error;
+};
+
+// Final error for a request, keeping the HTTP status (if any) so callers can tell a "no" from an outage
+const requestError = (name, url, message, status) => {
+  const error = new Error(`${name} ${url.pathname}: ${message}`);
+  if (status) error.status = status;
+  return error;
+};
+
+/**
+ * Wait for the provider's next free slot under its perMinute budget
+ */
+async function takeSlot(name) {
+  const spacing = 60000 / getProvider(name).perMinute;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot[name] || 0);
+  nextSlot[name] = slot + spacing;
+  if (slot > now) await delay(slot - now);
+}
+
+const isRetryable = status => status === 408 || status === 429 || status >= 500;
+
+/**
+ * Request a provider endpoint and return the parsed JSON. Throws once every retry has failed; the
+ * error carries `status` when the provider answered with an HTTP error.
+ * options: { params, method, body, retries }
+ */
+async function request(name, endpoint, options = {}) {
+  const provider = getProvider(name);
+  if (!isAvailable(name)) throw new Error(`${name}: ${provider.apiKeyEnv} not set`);
+
+  const url = new URL(endpoint.startsWith('http') ? endpoint : `${provider.baseUrl}${endpoint}`);
+  Object.entries(options.params || {}).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) url.searchParams.set(k, v);
+  });
+  const headers = provider.headers ? provider.headers(process.env[provider.apiKeyEnv]) : {};
+  if (options.body) headers['Content-Type'] = 'application/json';
+  const method = options.method || (options.body ? 'POST' : 'GET');
+  const bodyText = options.body ? JSON.stringify(options.body) : undefined;
+  const retries = options.retries ?? provider.retries;
+  const stat = stats[name];
+  const fixtureFile = MODE !== 'live' ? fixturePath(name, method, url.toString(), bodyText) : null;
+
+  if (MODE === 'replay') {
+    stat.calls++;
+    if (!fs.existsSync(fixtureFile)) {
+      stat.failed++;
+      stat.lastError = 'no fixture';
+      throw new Error(`${name} ${url.pathname}: no fixture (${path.relative(FIXTURES_DIR, fixtureFile)})`);
+    }
+    const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+    if (fixture.status === 200) return fixture.response;
+    stat.rejected++;
+    stat.lastError = httpError(fixture.status, fixture.error).message;
+    throw requestError(name, url, stat.lastError, fixture.status);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    await takeSlot(name);
+    stat.calls++;
+    let wait = BACKOFF_MS * Math.pow(2, attempt - 1);
+    let error;
+    try {
+      const response = await fetch(url.toString(), {
+        method,
+        headers,
+        body: bodyText,
+        signal: AbortSignal.timeout(provider.timeoutMs)
+      });
+      if (response.ok) {
+        const json = await response.json();
+        if (fixtureFile) recordFixture(fixtureFile, { provider: name, method, url: url.toString(), body: options.body || null, status: 200, response: json });
+        return json;
+      }
+
+      const text = await response.text().catch(() => '');
+      error = httpError(response.status, text);
+      if (fixtureFile && !isRetryable(response.status)) {
+        recordFixture(fixtureFile, { provider: name, method, url: url.toString(), body: options.body || null, status: response.status, error: text });
+      }
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        wait = retryAfter > 0 ? retryAfter * 1000 : (provider.rateLimitWaitMs || wait);
+      }
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? new Error(`timed out after ${provider.timeoutMs}ms`) : e;
+    }
+
+    if (attempt > retries || (error.status && !isRetryable(error.status))) {
+      if (error.status && !isRetryable(error.status)) stat.rejected++;
+      else stat.failed++;
+      stat.lastError = error.message;
+      throw requestError(name, url, error.message, error.status);
+    }
+    stat.retries++;
+    console.log(`  ${name}: ${error.message} - retry ${attempt}/${retries} in ${Math.round(wait / 1000)}s`);
+    await delay(wait);
+  }
+}
+
+/**
+ * GET a provider endpoint - throws on failure
+ */
+function getJSON(name, endpoint, params) {
+  return request(name, endpoint, { params });
+}
+
+/**
+ * GET a provider endpoint - null on failure (already logged and counted)
+ */
+async function tryJSON(name, endpoint, params) {
+  try {
+    return await getJSON(name, endpoint, params);
+  } catch (e) {
+    console.log(`  API Error: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * JSON-RPC call to PulseChain. A JSON-RPC error (e.g. a getLogs range the node rejects) is
+ * thrown straight away - only transport failures are retried.
+ */
+async function rpcCall(method, params, options = {}) {
+  const data = await request('rpc', PROVIDERS.rpc.baseUrl, {
+    body: { jsonrpc: '2.0', method, params, id: 1 },
+    retries: options.retries
+  });
+  if (data.error) throw new Error(`RPC ${method}: ${data.error.message}`);
+  return data.result;
+}
+
+/**
+ * Resolve a metric from the first provider in METRIC_PRIORITY[metric] that answers.
+ * sources maps provider name -> async () => value; null/undefined counts as no answer.
+ * Returns null when every provider failed. Fallbacks and total failures are recorded.
+ */
+async function fetchMetric(metric, label, sources) {
+  const order = METRIC_PRIORITY[metric];
+  if (!order) throw new Error(`No provider priority declared for ${metric}`);
+
+  const failed = [];
+  for (const name of order) {
+    if (!sources[name]) continue;
+    if (!isAvailable(name)) {
+      failed.push(`${name}: ${PROVIDERS[name].apiKeyEnv} not set`);
+      continue;
+    }
+    try {
+      const value = await sources[name]();
+      if (value !== null && value !== undefined) {
+        if (failed.length > 0) {
+          fallbacks.push({ metric, label, used: name, failed });
+          console.log(`  ${metric} (${label}): fell back to ${name} - ${failed.join('; ')}`);
+        }
+        return value;
+      }
+      failed.push(`${name}: no data`);
+    } catch (e) {
+      // request() errors already start with the provider name
+      failed.push(e.message.startsWith(`${name} `) ? e.message : `${name}: ${e.message}`);
+    }
+  }
+
+  fallbacks.push({ metric, label, used: null, failed });
+  console.log(`  ${metric} (${label}): no provider answered - ${failed.join('; ')}`);
+  return null;
+}
+
+// ============================================
+// SHARED METRICS
+// ============================================
+
+/**
+ * Highest-liquidity PulseChain pair price from DexScreener (same choice as the dashboard)
+ */
+async function dexScreenerTokenPrice(tokenAddress) {
+  const data = await getJSON('dexscreener', `/tokens/${tokenAddress}`);
+  const pairs = (data.pairs || [])
+    .filter(p => p.chainId === 'pulsechain' && parseFloat(p.priceUsd) > 0)
+    .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+  return pairs.length > 0 ? parseFloat(pairs[0].priceUsd) : null;
+}
+
+async function moralisTokenPrice(tokenAddress) {
+  const data = await getJSON('moralis', `/erc20/${tokenAddress}/price`, { chain: MORALIS_CHAIN });
+  return data.usdPrice > 0 ? Number(data.usdPrice) : null;
+}
+
+/**
+ * PLS price - the configured WPLS pair on DexScreener, then Moralis' WPLS price
+ */
+function getPLSPrice() {
+  return fetchMetric('plsPrice', 'PLS', {
+    dexscreener: async () => {
+      const data = await getJSON('dexscreener', `/pairs/pulsechain/${SHARED_CONFIG.plsPricePair}`);
+      return parseFloat(data.pair?.priceUsd) || null;
+    },
+    moralis: () => moralisTokenPrice(WPLS_ADDRESS)
+  });
+}
+
+/**
+ * Token USD price (null when no provider prices it)
+ */
+function getTokenPrice(tokenAddress, label = tokenAddress) {
+  return fetchMetric('tokenPrice', label, {
+    dexscreener: () => dexScreenerTokenPrice(tokenAddress),
+    moralis: () => moralisTokenPrice(tokenAddress)
+  });
+}
+
+/**
+ * Holder count - PulseScan counters (what the dashboard shows), then Moralis holder stats
+ */
+function getHolderCount(tokenAddress, label = tokenAddress) {
+  return fetchMetric('holders', label, {
+    pulsescan: async () => {
+      const data = await getJSON('pulsescan', `/tokens/${tokenAddress}/counters`);
+      return parseInt(data.token_holders_count) || null;
+    },
+    moralis: async () => {
+      const data = await getJSON('moralis', `/erc20/${tokenAddress}/holders`, { chain: MORALIS_CHAIN });
+      return parseInt(data.totalHolders) || null;
+    }
+  });
+}
+
+/**
+ * Native PLS balance of a wallet (in PLS)
+ */
+function getNativeBalance(walletAddress, label = walletAddress) {
+  return fetchMetric('nativeBalance', label, {
+    rpc: async () => Number(BigInt(await rpcCall('eth_getBalance', [walletAddress, 'latest']) || '0x0')) / 1e18,
+    moralis: async () => {
+      const data = await getJSON('moralis', `/${walletAddress}/balance`, { chain: MORALIS_CHAIN });
+      return data.balance != null ? Number(BigInt(data.balance)) / 1e18 : null;
+    }
+  });
+}
+
+/**
+ * Provider health for this run, written into collector output files:
+ * { status: { name: { calls, retries, failed, rejected, lastError } }, fallbacks: [...] }
+ * Only providers that were called are listed.
+ */
+function providerReport() {
+  const status = {};
+  for (const [name, stat] of Object.entries(stats)) {
+    if (stat.calls > 0 || fallbacks.some(f => f.failed.some(msg => msg.startsWith(`${name}:`)))) status[name] = { ...stat };
+  }
+  return { status, fallbacks: [...fallbacks] };
+}
+
+module.exports = {
+  PROVIDERS,
+  MODE,
+  METRIC_PRIORITY,
+  MORALIS_CHAIN,
+  isAvailable,
+  request,
+  getJSON,
+  tryJSON,
+  rpcCall,
+  fetchMetric,
+  getPLSPrice,
+  getTokenPrice,
+  getHolderCount,
+  getNativeBalance,
+  providerReport
+};
@@ -0,0 +1,198 @@
+/**
+ * RPC burn backend against a local JSON-RPC stub (http.createServer on a free port, RPC_URL
+ * pointed at it). The stub serves a small chain built from the recorded Moralis burn pages in
+ * fixtures/moralis/: one block per burn timestamp, 1000 blocks apart, timestamps interpolated in
+ * between, and eth_getLogs refusing any range wider than MAX_LOG_RANGE blocks the way public
+ * nodes do.
+ *
+ * Covers chunk halving on a refused range, resuming from a checkpoint block and from the newest
+ * stored burn, and that the period files match the Moralis backend's golden output byte for byte.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { REPO, FIXTURES } = require('./helpers/workspace');
+
+const config = require(path.join(REPO, 'data', 'config.json'));
+const GOLDEN_DIR = path.join(__dirname, 'golden', 'burn-history', 'expected');
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const BLOCK_SPACING = 1000;
+const MAX_LOG_RANGE = 30000;
+
+const toHex = n => '0x' + n.toString(16);
+const padTopic = address => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+
+// Every burn transfer in the recorded Moralis pages: { symbol, token, t (ms), value, from }
+function recordedBurns() {
+  const symbolOf = Object.fromEntries(Object.entries(config.tokens).map(([symbol, t]) => [t.address.toLowerCase(), symbol]));
+  const dir = path.join(FIXTURES, 'moralis');
+  return fs.readdirSync(dir)
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    .filter(fixture => fixture.url.includes(`/${config.burnAddress}/erc20/transfers`))
+    .flatMap(fixture => fixture.response.result)
+    .map(tx => ({
+      symbol: symbolOf[tx.address.toLowerCase()],
+      token: tx.address.toLowerCase(),
+      t: new Date(tx.block_timestamp).getTime(),
+      value: tx.value,
+      from: tx.from_address.toLowerCase()
+    }));
+}
+
+/**
+ * Chain the stub serves: block numbers per burn timestamp, the latest block, and a block's
+ * timestamp (seconds) for any number in between
+ */
+function buildChain(burns) {
+  const times = [...new Set(burns.map(b => b.t / 1000))].sort((a, b) => a - b);
+  const anchors = [{ number: 0, time: times[0] - 86400 }];
+  times.forEach((time, i) => anchors.push({ number: (i + 1) * BLOCK_SPACING, time }));
+  anchors.push({ number: (times.length + 1) * BLOCK_SPACING, time: times[times.length - 1] + 3600 });
+
+  const blockOf = new Map(anchors.slice(1, -1).map(a => [a.time * 1000, a.number]));
+  const latestBlock = anchors[anchors.length - 1].number;
+  const timeOf = number => {
+    const i = anchors.findIndex(a => a.number >= number);
+    if (anchors[i].number === number) return anchors[i].time;
+    const [a, b] = [anchors[i - 1], anchors[i]];
+    return a.time + Math.floor((number - a.number) * (b.time - a.time) / (b.number - a.number));
+  };
+  return { blockOf, latestBlock, timeOf };
+}
+
+const burns = recordedBurns();
+const chain = buildChain(burns);
+const logs = burns.map((b, i) => ({
+  address: b.token,
+  blockNumber: toHex(chain.blockOf.get(b.t)),
+  logIndex: toHex(i),
+  data: toHex(BigInt(b.value)),
+  topics: [TRANSFER_TOPIC, padTopic(b.from), padTopic(config.burnAddress)],
+  removed: false
+}));
+
+// eth_getLogs ranges the stub was asked for: { from, to, refused }
+let logRequests = [];
+let server;
+let backend;
+
+function handle(method, params) {
+  switch (method) {
+    case 'eth_blockNumber':
+      return { result: toHex(chain.latestBlock) };
+    case 'eth_getBlockByNumber': {
+      const number = parseInt(params[0], 16);
+      if (number > chain.latestBlock) return { result: null };
+      return { result: { number: params[0], timestamp: toHex(chain.timeOf(number)) } };
+    }
+    case 'eth_getLogs': {
+      const { address, topics, fromBlock, toBlock } = params[0];
+      const from = parseInt(fromBlock, 16);
+      const to = parseInt(toBlock, 16);
+      const refused = to - from + 1 > MAX_LOG_RANGE;
+      logRequests.push({ from, to, refused });
+      if (refused) return { error: { code: -32005, message: `block range too large, max ${MAX_LOG_RANGE}` } };
+      return {
+        result: logs.filter(log => {
+          const block = parseInt(log.blockNumber, 16);
+          return log.address === address.toLowerCase() && log.topics[2] === topics[2] && block >= from && block <= to;
+        })
+      };
+    }
+    default:
+      return { error: { code: -32601, message: `method ${method} not found` } };
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...handle(method, params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // The provider layer reads these when it loads
+  process.env.RPC_URL = `http://127.0.0.1:${server.address().port}`;
+  delete process.env.PROVIDER_MODE;
+  backend = require(path.join(REPO, 'scripts', 'fetch-burn-history.js'));
+  mock.method(console, 'log', () => {});
+});
+
+after(() => server.close());
+
+const tokenArgs = symbol => [config.tokens[symbol].address, symbol, config.tokens[symbol].decimals];
+const burnsOf = symbol => burns.filter(b => b.symbol === symbol);
+
+// Full scans are reused - every one pays the stub's pacing
+const fullScans = {};
+const fullScan = symbol => {
+  fullScans[symbol] = fullScans[symbol] || backend.fetchAllBurnsRpc(...tokenArgs(symbol), [], 0, chain.latestBlock);
+  return fullScans[symbol];
+};
+
+test('a refused getLogs range is halved until the node accepts it', async () => {
+  logRequests = [];
+  const toBlock = backend.LOG_CHUNK_BLOCKS - 1;
+  const found = await backend.fetchTransferLogs(config.tokens.PTGC.address, 0, toBlock);
+
+  const width = r => r.to - r.from + 1;
+  assert.deepStrictEqual(logRequests.filter(r => r.refused).map(width), [backend.LOG_CHUNK_BLOCKS, backend.LOG_CHUNK_BLOCKS / 2]);
+
+  // The accepted ranges are a quarter of the default chunk and cover every block exactly once
+  const accepted = logRequests.filter(r => !r.refused);
+  assert.deepStrictEqual([...new Set(accepted.map(width))], [backend.LOG_CHUNK_BLOCKS / 4]);
+  assert.strictEqual(accepted[0].from, 0);
+  accepted.slice(1).forEach((r, i) => assert.strictEqual(r.from, accepted[i].to + 1));
+  assert.strictEqual(accepted[accepted.length - 1].to, toBlock);
+  assert.strictEqual(found.length, burnsOf('PTGC').length);
+});
+
+test('resumes after the checkpoint block', async () => {
+  const all = await fullScan('PTGC');
+  const existing = all.slice(5);
+  const checkpoint = chain.blockOf.get(existing[0].t);
+
+  logRequests = [];
+  const resumed = await backend.fetchAllBurnsRpc(...tokenArgs('PTGC'), existing, checkpoint, chain.latestBlock);
+
+  assert.strictEqual(logRequests[0].from, checkpoint + 1);
+  assert.deepStrictEqual(resumed, all);
+});
+
+test('without a checkpoint, resumes at the newest stored burn without duplicating it', async () => {
+  const all = await fullScan('PTGC');
+  const existing = all.slice(5);
+
+  logRequests = [];
+  const resumed = await backend.fetchAllBurnsRpc(...tokenArgs('PTGC'), existing, undefined, chain.latestBlock);
+
+  assert.strictEqual(logRequests[0].from, chain.blockOf.get(existing[0].t));
+  assert.deepStrictEqual(resumed, all);
+});
+
+test('burn files are byte-identical to the Moralis backend output', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptgc-burn-rpc-'));
+  try {
+    for (const symbol of Object.keys(config.tokens)) {
+      backend.writeBurnFiles(dir, symbol, await fullScan(symbol));
+    }
+
+    const written = fs.readdirSync(dir).sort();
+    assert.deepStrictEqual(written, fs.readdirSync(GOLDEN_DIR).filter(f => f.includes('-burns')).sort());
+    for (const file of written) {
+      assert.ok(fs.readFileSync(path.join(dir, file)).equals(fs.readFileSync(path.join(GOLDEN_DIR, file))), file);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
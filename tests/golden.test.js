@@ -0,0 +1,81 @@
+/**
+ * Golden-output tests: collectors replayed against the recorded provider answers in fixtures/
+ * with the clock frozen, their data files compared with tests/golden/<case>/expected/.
+ *
+ * Each case copies tests/golden/<case>/input/ into a scratch data/ directory first (the history
+ * the run builds on). After an intended output change, or after re-recording fixtures, refresh
+ * the expected files with:
+ *
+ *   UPDATE_GOLDEN=1 node --test tests/golden.test.js
+ *
+ * and review the diff before committing it.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createWorkspace, runCollector, listJSON, dataFiles, removeWorkspace } = require('./helpers/workspace');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const NOW = '2026-02-01T00:00:00.000Z';
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+
+const CASES = [
+  {
+    name: 'metrics',
+    script: 'fetch-metrics.js',
+    covers: '30-min snapshots roll up to hourly and daily, 24h changes'
+  },
+  {
+    name: 'burn-history',
+    script: 'scripts/fetch-burn-history.js',
+    env: { MORALIS_API_KEY: 'replay' },
+    covers: 'burns split into period files, LP buyback filtering, period totals, daily changes, a quarantined holder drop'
+  },
+  {
+    name: 'coingecko',
+    script: 'scripts/fetch-coingecko-data.js',
+    env: { COINGECKO_API_KEY: 'replay' },
+    covers: 'pool liquidity, volume and 24h trades summed per token, a failed pool skipped, quarantined zero txns, an unknown RH core'
+  },
+  {
+    name: 'treasury',
+    script: 'scripts/fetch-treasury-transactions.js',
+    env: { MORALIS_API_KEY: 'replay' },
+    covers: 'paged incremental fetch merged into the history, historical prices (a 404 stored as null, an outage left unset), month shards, ledger, balances and summary'
+  }
+];
+
+for (const { name, script, env, covers } of CASES) {
+  test(`${name}: ${covers}`, () => {
+    const inputDir = path.join(GOLDEN_DIR, name, 'input');
+    const expectedDir = path.join(GOLDEN_DIR, name, 'expected');
+    const seeds = Object.fromEntries(listJSON(inputDir).map(file => [file, path.join(inputDir, file)]));
+    const dir = createWorkspace(seeds);
+
+    try {
+      runCollector(dir, script, { env, now: NOW });
+      const written = dataFiles(dir);
+
+      if (UPDATE) {
+        fs.rmSync(expectedDir, { recursive: true, force: true });
+        fs.mkdirSync(expectedDir, { recursive: true });
+        written.forEach(file => {
+          fs.mkdirSync(path.dirname(path.join(expectedDir, file)), { recursive: true });
+          fs.copyFileSync(path.join(dir, 'data', file), path.join(expectedDir, file));
+        });
+        return;
+      }
+
+      assert.deepStrictEqual(written, listJSON(expectedDir), 'files written');
+      for (const file of written) {
+        const actual = JSON.parse(fs.readFileSync(path.join(dir, 'data', file), 'utf8'));
+        const expected = JSON.parse(fs.readFileSync(path.join(expectedDir, file), 'utf8'));
+        assert.deepStrictEqual(actual, expected, `${file} differs from tests/golden/${name}/expected/${file}`);
+      }
+    } finally {
+      removeWorkspace(dir);
+    }
+  });
+}
@@ -0,0 +1,21 @@
+/**
+ * Preloaded (node --require) into collectors run by the tests: `new Date()` and Date.now()
+ * return FROZEN_NOW, so rollup cutoffs, period windows and timestamps in the output are
+ * the same on every run. Timers are untouched.
+ */
+
+if (process.env.FROZEN_NOW) {
+  const frozen = Date.parse(process.env.FROZEN_NOW);
+  if (Number.isNaN(frozen)) throw new Error(`FROZEN_NOW is not a date: ${process.env.FROZEN_NOW}`);
+
+  const RealDate = Date;
+  global.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [frozen]));
+    }
+
+    static now() {
+      return frozen;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Throwaway copy of the collectors for a test run. The scripts write to data/ next to
+ * themselves, so each run gets its own directory with the scripts, config and schemas, plus
+ * whatever seed files the test puts in data/ first.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const REPO = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(REPO, 'fixtures');
+const FROZEN_CLOCK = path.join(__dirname, 'frozen-clock.js');
+
+// Variables that change which providers a collector tries - never inherited from the shell
+const PROVIDER_ENV = ['MORALIS_API_KEY', 'COINGECKO_API_KEY', 'RPC_URL', 'PROVIDER_MODE', 'PROVIDER_FIXTURES'];
+
+function createWorkspace(seedFiles = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptgc-collector-'));
+  fs.cpSync(path.join(REPO, 'scripts'), path.join(dir, 'scripts'), { recursive: true });
+  fs.cpSync(path.join(REPO, 'data', 'schemas'), path.join(dir, 'data', 'schemas'), { recursive: true });
+  fs.copyFileSync(path.join(REPO, 'data', 'config.json'), path.join(dir, 'data', 'config.json'));
+  fs.copyFileSync(path.join(REPO, 'fetch-metrics.js'), path.join(dir, 'fetch-metrics.js'));
+  for (const [file, source] of Object.entries(seedFiles)) {
+    fs.copyFileSync(source, path.join(dir, 'data', file));
+  }
+  return dir;
+}
+
+/**
+ * Run a collector (path relative to the workspace) in replay mode against fixtures/.
+ * Throws with the collector's output when it exits non-zero.
+ */
+function runCollector(dir, script, { args = [], env = {}, now } = {}) {
+  const baseEnv = { ...process.env };
+  PROVIDER_ENV.forEach(name => delete baseEnv[name]);
+  const result = spawnSync(process.execPath, ['--require', FROZEN_CLOCK, script, ...args], {
+    cwd: dir,
+    env: { ...baseEnv, PROVIDER_MODE: 'replay', PROVIDER_FIXTURES: FIXTURES, FROZEN_NOW: now, ...env },
+    encoding: 'utf8',
+    timeout: 120000
+  });
+  const output = `${result.stdout}${result.stderr}`;
+  if (result.status !== 0) {
+    throw new Error(`${script} exited with ${result.status ?? result.signal}\n${output}`);
+  }
+  return output;
+}
+
+// JSON files under a directory, as sorted paths relative to it (subdirectories included)
+function listJSON(root) {
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root, { recursive: true })
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.split(path.sep).join('/'))
+    .sort();
+}
+
+// Files the run left in data/ (config and schemas aside)
+function dataFiles(dir) {
+  return listJSON(path.join(dir, 'data'))
+    .filter(file => file !== 'config.json' && !file.startsWith('schemas/'));
+}
+
+function removeWorkspace(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  REPO,
+  FIXTURES,
+  createWorkspace,
+  runCollector,
+  listJSON,
+  dataFiles,
+  removeWorkspace
+};
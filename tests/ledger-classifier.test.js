@@ -0,0 +1,81 @@
+/**
+ * Ledger classifier against the stored wallet history: both wallets' transactions and token
+ * transfers from data/treasury-wallet*-{txns,tokens}.json, classified with data/config.json the
+ * way ledger.html and fetch-treasury-transactions.js do, then checked row by row for a few
+ * representative transactions of each kind.
+ *
+ * The data files are refreshed by the treasury collector. A hash that disappears from them
+ * fails its test by name; swap in a current transaction of the same kind.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createClassifier, INFLOW_TYPES } = require('../scripts/lib/ledger-classifier');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const config = require(path.join(DATA_DIR, 'config.json'));
+const readWallet = (i, kind, key) => require(path.join(DATA_DIR, `treasury-wallet${i}-${kind}.json`))[key];
+
+const transactions = [...readWallet(1, 'txns', 'transactions'), ...readWallet(2, 'txns', 'transactions')];
+const tokenTxns = [...readWallet(1, 'tokens', 'transfers'), ...readWallet(2, 'tokens', 'transfers')];
+const rows = createClassifier(config).classifyRange(transactions, tokenTxns, {}, 0, Infinity);
+const byHash = new Map(rows.map(row => [row.hash, row]));
+
+const TAX_DISTRIBUTOR = '0x0a0990fe8b4a885adf84afcb068be8347811d0c4';
+
+const EXPECTED = {
+  buybacks: [
+    { hash: '0x8102daae9cabad6d0fa444f1ffa666d9a4f4cdee55991cca6a27f2b397fcaafe', type: 'ptgc_buy', direction: 'out', description: 'Bought 45.31M PTGC' },
+    { hash: '0x28c150f7f6c65ff111ab1a1a696ff906e6311abb49d051aa888b64c46b7c995e', type: 'ptgc_buy', direction: 'out', description: 'Bought 2.43M PTGC', isWallet2: true }
+  ],
+  'LP adds and removes': [
+    { hash: '0xf2f20be60c303d784403d08a4f3d922c81d67b867c30d8890d55a7e47d1551be', type: 'lp_add', direction: 'out', description: 'Added LP: 39.40M PTGC + 60.84K UNITY' },
+    { hash: '0x1abc0e8465372d228a35fa0b0a8150a2d65888fa1381f47126c884cced85935d', type: 'lp_add', direction: 'out', description: 'Added LP: 1.00B PLS + tokens', isWallet2: true },
+    { hash: '0x2d2bf59ab588dc8c3aa455a56fbaa6e23f1d7134c765dcffd2f7867e15c85bf5', type: 'lp_remove', direction: 'out', description: 'Removed LP → 206.00K MOST + 10.13M PTGC' }
+  ],
+  donations: [
+    { hash: '0x8264e596b1d1442a204af43ed1bb75a0d565f0442fee12a594b093e09dc3849e', type: 'donation', direction: 'in', description: 'Received 100.00M PLS' },
+    { hash: '0xad1b6d0ebf5747729f94260ac75c908e76051e87ffe3889e4c09da8e55f7b1f0', type: 'donation', direction: 'in', description: 'Received 1.40K SURF', isWallet2: true },
+    // PTGC from an unlabeled sender - the DAO sent nothing, so it is not a buyback
+    { hash: '0x614319d0da0e792ff7d21f61d24d94e751e2c12df0fcfd59de3ebd7e55cff953', type: 'donation', direction: 'in', description: 'Received 265.11B PTGC', isWallet2: true }
+  ],
+  'tax revenue': [
+    { hash: '0xa08ad2caa0f52d315ac49e63e23d23c84a3de3e7f3055dd631f65c525d9a66b7', type: 'tax_revenue', direction: 'in', description: 'Tax revenue: 444.88 PTGC', isWallet2: true, counterparty: 'PTGC Tax Distributor' }
+  ],
+  'burns and other outflows': [
+    { hash: '0x8b8db7ee2ea4cd0e6003c3233c838a150b12a96402aa1842e36dad71111c75c6', type: 'burn', direction: 'out', description: 'Burned 95.00M PTGC' },
+    { hash: '0x97808aac2ca428abbb065f7f3511669b385d105d3803e0144e9418e785c5ed2c', type: 'swap', direction: 'out', description: 'Swapped 100.00M PLS → 0.4678 WETH' },
+    { hash: '0xf80895d88e73b41c62819ab9ce51205060de0c51f159b31edca2969dae0af7d6', type: 'transfer_in', direction: 'in', description: 'Received 100.00M PLS from Zero Address' }
+  ]
+};
+
+for (const [kind, cases] of Object.entries(EXPECTED)) {
+  test(`classifies ${kind}`, () => {
+    for (const { hash, ...fields } of cases) {
+      const row = byHash.get(hash);
+      assert.ok(row, `${hash} is in the ledger`);
+      const expected = { isWallet2: false, ...fields };
+      const actual = Object.fromEntries(Object.keys(expected).map(key => [key, row[key]]));
+      assert.deepStrictEqual(actual, expected, hash);
+    }
+  });
+}
+
+test('buybacks are only rows the DAO sent', () => {
+  const buybacks = rows.filter(row => row.type === 'ptgc_buy');
+  assert.ok(buybacks.length > 0);
+  assert.deepStrictEqual(buybacks.filter(row => row.direction !== 'out').map(row => row.hash), []);
+});
+
+test('every transfer from the tax distributor is tax revenue', () => {
+  const fromDistributor = rows.filter(row => row.from === TAX_DISTRIBUTOR);
+  assert.ok(fromDistributor.length > 0);
+  assert.deepStrictEqual([...new Set(fromDistributor.map(row => row.type))], ['tax_revenue']);
+});
+
+test('inflows carry an inflow type and outflows never do', () => {
+  for (const row of rows) {
+    assert.strictEqual(INFLOW_TYPES.includes(row.type), row.direction === 'in', `${row.hash} ${row.type}/${row.direction}`);
+  }
+});